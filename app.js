@@ -18,685 +18,7030 @@ function createPolySynth(type = currentOscillatorType) {
     polySynth = new Tone.PolySynth({
         voice: Tone.Synth,
         maxPolyphony: MAX_POLYPHONY,
-        voiceOptions: {
-            oscillator: { type },
-            envelope: {
-                attack: 0.005,
-                decay: 0.1,
-                sustain: 0.3,
-                release: 0.5,
-            },
-        },
-    }).toDestination();
+        voiceOptions: getVoiceOptions(type),
+    }).connect(getEffectsInput());
 
     currentOscillatorType = type;
 }
 
-// initialize synth
-createPolySynth(currentOscillatorType);
-
-// Sound map for different gestures - each maps to a starting note in C minor
-const gestureNotes = {
-    'peace': 'C4',           // Starts on C
-    'point': 'D4',           // Starts on D
-    'thumbs_up': 'Eb4',      // Starts on Eb
-    'rock': 'F4',            // Starts on F
-    'ok': 'G4',              // Starts on G
-    'thumbs_down': 'Ab4',    // Starts on Ab
-    'point_camera': 'Bb4',   // Starts on Bb
-    'palm': 'C5',            // Starts on high C
+// Amplitude envelope of the Synth-based voices (times in seconds, sustain is a level 0..1)
+const envelopeSettings = {
+    attack: 0.005,
+    decay: 0.1,
+    sustain: 0.3,
+    release: 0.5,
 };
 
-const gestureLabels = {
-    'peace': '✌️ Peace (C)',
-    'point': '☝️ Pointing Up (D)',
-    'thumbs_up': '👍 Thumbs Up (Eb)',
-    'rock': '🤘 Rock On (F)',
-    'ok': '👌 OK Sign (G)',
-    'thumbs_down': '👎 Thumbs Down (Ab)',
-    'point_camera': '👉 Point at Camera (Bb)',
-    'palm': '✋ Palm Hand (C5)',
-};
+// Voice options shared by every Synth-based PolySynth (live synth and looper playback)
+function getVoiceOptions(type) {
+    return {
+        oscillator: { type },
+        envelope: { ...envelopeSettings },
+    };
+}
 
-// Scale for random sequences (C minor scale)
-const musicScale = ['C4', 'D4', 'Eb4', 'F4', 'G4', 'Ab4', 'Bb4', 'C5'];
+function setEnvelope(changes) {
+    Object.assign(envelopeSettings, changes);
+    const handSynths = getHandSynthEntries().map(entry => entry.voice);
+    for (const voice of [polySynth, ...handSynths, ...Object.values(looperVoices)]) {
+        try {
+            voice.set({ envelope: { ...envelopeSettings } });
+        } catch (err) {
+            console.warn('Error updating envelope:', err);
+        }
+    }
+}
 
 // ============================================
-// MediaPipe Hand Detection Setup
+// Effects Rack
 // ============================================
-const video = document.getElementById('video');
-const canvas = document.getElementById('canvas');
-const ctx = canvas.getContext('2d');
-const gestureDisplay = document.getElementById('gestureDisplay');
+// synth(s) -> filter -> distortion -> chorus -> delay -> reverb -> destination
+// The rack is built once and outlives the synths that feed it (switchOscillator recreates polySynth).
+// Every slot has its own dry/wet pair, so bypass and mix work the same way for every effect.
+const EFFECT_ORDER = ['filter', 'distortion', 'chorus', 'delay', 'reverb'];
 
-// Fireworks particle system
-class Particle {
-    constructor(x, y) {
-        this.x = x;
-        this.y = y;
-        this.vx = (Math.random() - 0.5) * 12;
-        this.vy = (Math.random() - 0.5) * 12 - 3;
-        this.life = 1;
-        this.decay = Math.random() * 0.04 + 0.03;
-        this.color = `hsl(${Math.random() * 60 + 280}, 100%, 60%)`;
-        this.size = Math.random() * 4 + 2;
-    }
+// `mappable` params can follow a hand measurement; the rest are set from the panel only.
+// `signal` params are Tone Signals and can be ramped, the others are plain properties.
+const EFFECT_DEFINITIONS = {
+    'filter': {
+        name: '🎚️ Filter',
+        create: () => new Tone.Filter(2000, 'lowpass'),
+        params: {
+            frequency: { name: 'Cutoff', min: 100, max: 12000, scale: 'exp', mappable: true, signal: true },
+            Q: { name: 'Resonance', min: 0.1, max: 15, scale: 'linear', mappable: true, signal: true },
+        },
+    },
+    'distortion': {
+        name: '🔥 Distortion',
+        create: () => new Tone.Distortion({ distortion: 0.4, wet: 1 }),
+        params: {
+            distortion: { name: 'Drive', min: 0, max: 1, scale: 'linear', mappable: true },
+        },
+    },
+    'chorus': {
+        name: '🌀 Chorus',
+        create: () => new Tone.Chorus({ frequency: 1.5, delayTime: 3.5, depth: 0.7, wet: 1 }).start(),
+        params: {
+            frequency: { name: 'Rate', min: 0.1, max: 8, scale: 'exp', mappable: true, signal: true },
+            depth: { name: 'Depth', min: 0, max: 1, scale: 'linear', mappable: true },
+        },
+    },
+    'delay': {
+        name: '🔁 Delay',
+        create: () => new Tone.FeedbackDelay({ delayTime: 0.25, feedback: 0.35, wet: 1 }),
+        params: {
+            delayTime: { name: 'Time', min: 0.05, max: 1, scale: 'linear', mappable: true, signal: true },
+            feedback: { name: 'Feedback', min: 0, max: 0.9, scale: 'linear', mappable: true, signal: true },
+        },
+    },
+    'reverb': {
+        name: '🏛️ Reverb',
+        create: () => new Tone.Reverb({ decay: 3, wet: 1 }),
+        params: {
+            // every change regenerates the impulse response, so hand mapping is throttled (ms)
+            decay: { name: 'Decay', min: 0.5, max: 10, scale: 'linear', mappable: true, throttle: 500 },
+        },
+    },
+};
 
-    update() {
-        this.x += this.vx;
-        this.y += this.vy;
-        this.vy += 0.35; // gravity
-        this.life -= this.decay;
-    }
+// Live hand measurements (all 0..1) that effect parameters can follow
+const HAND_MEASUREMENTS = {
+    'height': 'Hand height',
+    'openness': 'Hand openness',
+    'roll': 'Hand roll',
+    'pinch': 'Thumb–index pinch',
+    'x': 'Left ↔ right',
+};
 
-    draw(ctx) {
-        ctx.save();
-        ctx.globalAlpha = this.life;
-        ctx.fillStyle = this.color;
-        ctx.beginPath();
-        ctx.arc(this.x, this.y, this.size, 0, Math.sin(2 * Math.PI));
-        ctx.fill();
-        ctx.fill();
+const effectsSettings = {};
+for (const id of EFFECT_ORDER) {
+    const params = {};
+    for (const key of Object.keys(EFFECT_DEFINITIONS[id].params)) {
+        params[key] = null; // null = keep the effect's own default
     }
+    effectsSettings[id] = { enabled: false, mix: 0.5, params };
 }
 
-let particles = [];
-// Electric static effects (spawn alongside fireworks)
-let staticEffects = [];
+// [{ id, source, hand: 'left'|'right'|'any', effect, param }] where param may be 'mix'
+let effectMappings = [];
+let nextEffectMappingId = 1;
 
-let hands;
-let camera;
-let isRunning = false;
-let lastPlayedGesture = null;
-let gestureChangeTime = 0;
-// Per-hand state to support two-hand simultaneous triggering
-let lastPlayedGestureByHand = {}; // key: hand id ('left'|'right' or index)
-let lastGestureTimeByHand = {};
+let effectsRack = null;
 
-// Spacebar hold state: when true, notes played during sequence are sustained
-let isSpaceDown = false;
-// Notes currently held (sustained) while spacebar is down
-let heldNotes = [];
+function buildEffectsRack() {
+    const input = new Tone.Gain(1);
+    const slots = {};
+    let previous = input;
 
-function releaseAllHeldNotes() {
-    if (!heldNotes || heldNotes.length === 0) return;
-    console.log('Releasing held notes:', heldNotes.slice());
-    try {
-        // try one-shot release for the array
-        polySynth.triggerRelease(heldNotes, Tone.now());
-    } catch (err) {
-        // per-note fallback
-        for (const n of heldNotes) {
-            try { polySynth.triggerRelease(n, Tone.now()); } catch (e) { }
-        }
+    for (const id of EFFECT_ORDER) {
+        const effect = EFFECT_DEFINITIONS[id].create();
+        const slotInput = new Tone.Gain(1);
+        const dry = new Tone.Gain(1);
+        const wet = new Tone.Gain(0);
+        const output = new Tone.Gain(1);
+
+        previous.connect(slotInput);
+        slotInput.connect(dry);
+        slotInput.connect(effect);
+        effect.connect(wet);
+        dry.connect(output);
+        wet.connect(output);
+
+        slots[id] = { effect, dry, wet, output };
+        previous = output;
     }
-    heldNotes = [];
+    previous.toDestination();
+    return { input, slots };
 }
 
-// Create fireworks at position
-function createFireworks(x, y, count = 20) {
-    for (let i = 0; i < count; i++) {
-        particles.push(new Particle(x, y));
+// Where every instrument voice should connect
+function getEffectsInput() {
+    if (!effectsRack) {
+        effectsRack = buildEffectsRack();
+        for (const id of EFFECT_ORDER) applyEffectSettings(id);
     }
+    return effectsRack.input;
 }
 
-// Update and draw particles
-function updateParticles() {
-    particles = particles.filter(p => p.life > 0);
-    
-    for (const particle of particles) {
-        particle.update();
-        particle.draw(ctx);
+function mapParamValue(def, t) {
+    if (def.scale === 'exp') return mapExponential(t, def.min, def.max);
+    return def.min + (def.max - def.min) * clamp01(t);
+}
+
+// `rack` defaults to the live rack; offline renders pass their own copy
+function setEffectParam(id, key, value, rampTime = 0, rack = effectsRack) {
+    if (!rack) return;
+    const slot = rack.slots[id];
+    if (key === 'mix') {
+        const settings = effectsSettings[id];
+        const mix = settings.enabled ? clamp01(value) : 0;
+        slot.wet.gain.rampTo(mix, rampTime || 0.02);
+        slot.dry.gain.rampTo(1 - mix, rampTime || 0.02);
+        return;
+    }
+    const def = EFFECT_DEFINITIONS[id].params[key];
+    try {
+        if (def.signal) {
+            slot.effect[key].rampTo(value, rampTime || 0.02);
+        } else {
+            slot.effect[key] = value;
+        }
+    } catch (err) {
+        console.warn(`Error setting ${id}.${key}:`, err);
     }
 }
 
-// Create an electric static burst at (x,y)
-function createStatic(x, y, duration = 3000) {
-    const effect = {
-        x,
-        y,
-        start: performance.now(),
-        duration,
-        fadeDuration: 500,
-        // create a set of small static sparks
-        sparks: Array.from({ length: 24 }, () => ({
-            x: x + (Math.random() - 0.5) * 20,
-            y: y + (Math.random() - 0.5) * 20,
-            vx: (Math.random() - 0.5) * 1.5,
-            vy: (Math.random() - 0.5) * 1.5,
-            size: Math.random() * 2 + 0.5,
-            life: 1,
-            flicker: Math.random() * 0.8 + 0.2,
-        })),
-    };
-    staticEffects.push(effect);
+function applyEffectSettings(id, rack = effectsRack) {
+    const settings = effectsSettings[id];
+    setEffectParam(id, 'mix', settings.mix, 0, rack);
+    for (const [key, value] of Object.entries(settings.params)) {
+        if (value !== null) setEffectParam(id, key, value, 0, rack);
+    }
 }
 
-function updateStaticEffects() {
-    const now = performance.now();
-    const remaining = [];
-    for (const eff of staticEffects) {
-        const t = now - eff.start;
-        const alive = t < (eff.duration + eff.fadeDuration);
-        if (!alive) continue;
-
-        // compute alpha: full during duration, then fade during fadeDuration
-        let alpha = 1;
-        if (t > eff.duration) {
-            alpha = 1 - ((t - eff.duration) / eff.fadeDuration);
-        }
-
-        // draw sparks
-        for (const s of eff.sparks) {
-            s.x += s.vx;
-            s.y += s.vy;
-            // small random jitter
-            s.vx += (Math.random() - 0.5) * 0.1;
-            s.vy += (Math.random() - 0.5) * 0.1;
-            s.life -= 0.01;
-
-            const glow = Math.min(1, Math.max(0, s.life)) * s.flicker * alpha;
-            ctx.save();
-            ctx.globalCompositeOperation = 'lighter';
-            ctx.globalAlpha = glow;
-            // electric color gradient
-            const g = ctx.createRadialGradient(s.x, s.y, 0, s.x, s.y, s.size * 6);
-            g.addColorStop(0, 'rgba(180,230,255,1)');
-            g.addColorStop(0.2, 'rgba(120,190,255,0.9)');
-            g.addColorStop(0.6, 'rgba(80,120,255,0.5)');
-            g.addColorStop(1, 'rgba(20,30,60,0)');
-            ctx.fillStyle = g;
-            ctx.beginPath();
-            ctx.arc(s.x, s.y, s.size * 3, 0, Math.PI * 2);
-            ctx.fill();
-            ctx.restore();
-        }
-
-        remaining.push(eff);
-    }
-    staticEffects = remaining;
-}
-
-// Initialize MediaPipe Hands
-async function initializeHands() {
-    hands = new window.Hands({
-        locateFile: (file) => {
-            return `https://cdn.jsdelivr.net/npm/@mediapipe/hands/${file}`;
-        }
-    });
+function setEffectEnabled(id, enabled) {
+    effectsSettings[id].enabled = enabled;
+    setEffectParam(id, 'mix', effectsSettings[id].mix);
+}
 
-    hands.setOptions({
-        maxNumHands: 2,
-        modelComplexity: 1,
-        minDetectionConfidence: 0.5,
-        minTrackingConfidence: 0.5,
-    });
+// Normalized measurements of one hand for effect mappings
+function getHandMeasurements(landmarks) {
+    const points = toHandPoints(landmarks);
+    const frame = getHandFrame(points);
+    const wrist = landmarks[0];
+
+    // average fingertip distance from the wrist, relative to palm length (~1 fist .. ~2 open)
+    const tips = [8, 12, 16, 20].map(i => vecLength(vecSub(points[i], points[0])) / frame.palmLength);
+    const openness = clamp01(tips.reduce((a, b) => a + b, 0) / tips.length - 1);
+
+    // knuckle line angle on screen: level = 0.5, turned either way towards 0 or 1
+    const knuckles = vecSub(points[17], points[5]);
+    let roll = Math.atan2(knuckles.y, Math.abs(knuckles.x)) / Math.PI + 0.5;
+    if (knuckles.x < 0) roll = 1 - roll;
+
+    const pinch = clamp01((vecLength(vecSub(points[4], points[8])) / frame.palmLength - 0.15) / 0.85);
+
+    return {
+        height: clamp01(1 - wrist.y),
+        openness,
+        roll: clamp01(roll),
+        pinch,
+        x: clamp01(wrist.x),
+    };
+}
 
-    hands.onResults(onHandsResults);
+// Drive mapped effect parameters from this hand (called once per hand per frame)
+function updateEffectMappings(hand, landmarks) {
+    if (!effectsRack || effectMappings.length === 0) return;
+    let measurements = null;
+    for (const mapping of effectMappings) {
+        if (mapping.hand !== 'any' && mapping.hand !== hand) continue;
+        if (!effectsSettings[mapping.effect].enabled) continue;
+        if (!measurements) measurements = getHandMeasurements(landmarks);
 
-    camera = new window.Camera(video, {
-        onFrame: async () => {
-            if (isRunning) {
-                await hands.send({image: video});
+        const t = measurements[mapping.source];
+        if (mapping.param === 'mix') {
+            setEffectParam(mapping.effect, 'mix', t, 0.05);
+        } else {
+            const def = EFFECT_DEFINITIONS[mapping.effect].params[mapping.param];
+            if (def.throttle) {
+                const now = performance.now();
+                if (now - (mapping.lastApplied || 0) < def.throttle) continue;
+                mapping.lastApplied = now;
             }
-        },
-        width: 640,
-        height: 480,
-    });
+            setEffectParam(mapping.effect, mapping.param, mapParamValue(def, t), 0.05);
+        }
+    }
 }
 
-// ============================================
-// Gesture Recognition Functions
-// ============================================
-function getHandGesture(landmarks) {
-    if (!landmarks || landmarks.length < 21) return null;
+function addEffectMapping(source, hand, effect, param) {
+    // one mapping per target; a new one replaces the old
+    effectMappings = effectMappings.filter(m => !(m.effect === effect && m.param === param));
+    effectMappings.push({ id: nextEffectMappingId++, source, hand, effect, param });
+    renderEffectMappings();
+}
 
-    const fingers = extractFingerStates(landmarks);
+function removeEffectMapping(id) {
+    const mapping = effectMappings.find(m => m.id === id);
+    effectMappings = effectMappings.filter(m => m.id !== id);
+    // put the parameter back where the panel says it should be
+    if (mapping) applyEffectSettings(mapping.effect);
+    renderEffectMappings();
+}
 
-    // Peace sign (index and middle fingers extended, others folded)
-    if (fingers.index && fingers.middle && 
-        !fingers.ring && !fingers.pinky && !fingers.thumb) {
-        return 'peace';
+function getMappableTargets() {
+    const targets = [];
+    for (const id of EFFECT_ORDER) {
+        const def = EFFECT_DEFINITIONS[id];
+        targets.push({ value: `${id}.mix`, label: `${def.name} Mix` });
+        for (const [key, param] of Object.entries(def.params)) {
+            if (param.mappable) targets.push({ value: `${id}.${key}`, label: `${def.name} ${param.name}` });
+        }
     }
+    return targets;
+}
 
-    // Pointing up (only index extended, palm down)
-    if (fingers.index && !fingers.middle && 
-        !fingers.ring && !fingers.pinky && !fingers.thumb) {
-        return 'point';
+function renderEffectMappings() {
+    const list = document.getElementById('effectMappingList');
+    if (!list) return;
+    list.innerHTML = '';
+    const targetLabels = Object.fromEntries(getMappableTargets().map(t => [t.value, t.label]));
+    for (const mapping of effectMappings) {
+        const li = document.createElement('li');
+        const handLabel = mapping.hand === 'any' ? 'either hand' : `${mapping.hand} hand`;
+        li.textContent = `${HAND_MEASUREMENTS[mapping.source]} (${handLabel}) → ${targetLabels[`${mapping.effect}.${mapping.param}`]} `;
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'link-btn';
+        removeBtn.textContent = 'Remove';
+        removeBtn.addEventListener('click', () => removeEffectMapping(mapping.id));
+        li.appendChild(removeBtn);
+        list.appendChild(li);
     }
+}
 
-    // Thumbs up (thumb extended upward, other fingers folded)
-    if (isThumbsUp(landmarks)) {
-        return 'thumbs_up';
-    }
+function createSlider(min, max, step, value, onInput) {
+    const input = document.createElement('input');
+    input.type = 'range';
+    input.min = String(min);
+    input.max = String(max);
+    input.step = String(step);
+    input.value = String(value);
+    input.addEventListener('input', () => onInput(parseFloat(input.value)));
+    return input;
+}
 
-    // Thumbs down (thumb extended downward, other fingers folded)
-    if (isThumbsDown(landmarks)) {
-        return 'thumbs_down';
-    }
+function renderEffectsRack() {
+    const container = document.getElementById('effectsRack');
+    if (!container) return;
+    container.innerHTML = '';
 
-    // Rock on (index and pinky extended, middle and ring folded)
-    if (fingers.index && fingers.pinky && 
-        !fingers.middle && !fingers.ring) {
-        return 'rock';
-    }
+    for (const id of EFFECT_ORDER) {
+        const def = EFFECT_DEFINITIONS[id];
+        const settings = effectsSettings[id];
+        const row = document.createElement('div');
+        row.className = 'effect-row';
 
-    // OK sign (thumb and index touching, other fingers extended)
-    if (isOKSign(landmarks)) {
-        return 'ok';
-    }
+        const toggle = document.createElement('label');
+        toggle.className = 'checkbox-label';
+        const enabledInput = document.createElement('input');
+        enabledInput.type = 'checkbox';
+        enabledInput.checked = settings.enabled;
+        enabledInput.addEventListener('change', () => setEffectEnabled(id, enabledInput.checked));
+        toggle.append(enabledInput, ` ${def.name}`);
+        row.appendChild(toggle);
 
-    // Pointing at camera (index extended forward, other fingers folded, palm facing camera)
-    if (isPointingAtCamera(landmarks)) {
-        return 'point_camera';
-    }
+        const mixLabel = document.createElement('label');
+        mixLabel.textContent = 'Mix';
+        mixLabel.appendChild(createSlider(0, 1, 0.01, settings.mix, (value) => {
+            settings.mix = value;
+            setEffectParam(id, 'mix', value);
+        }));
+        row.appendChild(mixLabel);
 
-    // Palm hand (all fingers extended, palm open)
-    if (isPalmOpen(landmarks)) {
-        return 'palm';
+        const effect = effectsRack ? effectsRack.slots[id].effect : null;
+        for (const [key, param] of Object.entries(def.params)) {
+            const label = document.createElement('label');
+            label.textContent = param.name;
+            let current = settings.params[key];
+            if (current === null && effect) {
+                current = param.signal ? effect[key].value : effect[key];
+            }
+            // sliders run 0..1 and are mapped through the param's range/scale
+            const position = param.scale === 'exp'
+                ? Math.log((current ?? param.min) / param.min) / Math.log(param.max / param.min)
+                : ((current ?? param.min) - param.min) / (param.max - param.min);
+            label.appendChild(createSlider(0, 1, 0.01, clamp01(position), (t) => {
+                settings.params[key] = mapParamValue(param, t);
+                setEffectParam(id, key, settings.params[key]);
+            }));
+            row.appendChild(label);
+        }
+        container.appendChild(row);
     }
-
-    return null;
 }
 
-function extractFingerStates(landmarks) {
-    // Return true if finger is extended
-    // Comparing tip position with PIP joint
-    return {
-        thumb: landmarks[4].y < landmarks[3].y,
-        index: landmarks[8].y < landmarks[6].y,
-        middle: landmarks[12].y < landmarks[10].y,
-        ring: landmarks[16].y < landmarks[14].y,
-        pinky: landmarks[20].y < landmarks[18].y,
-    };
+function initEffectsControls() {
+    const sourceSelect = document.getElementById('effectMappingSource');
+    const handSelect = document.getElementById('effectMappingHand');
+    const targetSelect = document.getElementById('effectMappingTarget');
+    const addBtn = document.getElementById('effectMappingAddBtn');
+
+    renderEffectsRack();
+    if (!sourceSelect || !targetSelect) return;
+
+    for (const [key, label] of Object.entries(HAND_MEASUREMENTS)) {
+        sourceSelect.add(new Option(label, key));
+    }
+    for (const target of getMappableTargets()) {
+        targetSelect.add(new Option(target.label, target.value));
+    }
+    if (addBtn) {
+        addBtn.addEventListener('click', () => {
+            const [effect, param] = targetSelect.value.split('.');
+            addEffectMapping(sourceSelect.value, handSelect ? handSelect.value : 'any', effect, param);
+        });
+    }
+    renderEffectMappings();
 }
 
-function isThumbsUp(landmarks) {
-    const thumb = landmarks[4];
-    const index = landmarks[8];
-    const middle = landmarks[12];
-    const ring = landmarks[16];
-    const pinky = landmarks[20];
-    const wrist = landmarks[0];
+// initialize effects and synth
+getEffectsInput();
+initEffectsControls();
+createPolySynth(currentOscillatorType);
 
-    // Thumb should be extended and other fingers folded
-    const thumbExtended = thumb.y < landmarks[3].y;
-    const othersFolded = index.y > landmarks[6].y && 
-                        middle.y > landmarks[10].y &&
-                        ring.y > landmarks[14].y &&
-                        pinky.y > landmarks[18].y;
-    
-    // Thumb should be above wrist (pointing up)
-    const thumbUp = thumb.y < wrist.y;
+// ============================================
+// Scale Engine
+// ============================================
+const NOTE_NAMES_SHARP = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const NOTE_NAMES_FLAT = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
+// Root names offered in the key selector (conventional key spellings)
+const ROOT_NAMES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+// Major keys that are written with flats; every other key is spelled with sharps
+const FLAT_MAJOR_KEYS = [1, 3, 5, 6, 8, 10];
 
-    return thumbExtended && othersFolded && thumbUp;
-}
+// Intervals in semitones from the root. `parent` is the distance from the relative
+// major key, which decides whether the scale is spelled with sharps or flats.
+const SCALE_MODES = {
+    'major':            { name: 'Major (Ionian)',   intervals: [0, 2, 4, 5, 7, 9, 11], parent: 0 },
+    'dorian':           { name: 'Dorian',           intervals: [0, 2, 3, 5, 7, 9, 10], parent: 2 },
+    'phrygian':         { name: 'Phrygian',         intervals: [0, 1, 3, 5, 7, 8, 10], parent: 4 },
+    'lydian':           { name: 'Lydian',           intervals: [0, 2, 4, 6, 7, 9, 11], parent: 5 },
+    'mixolydian':       { name: 'Mixolydian',       intervals: [0, 2, 4, 5, 7, 9, 10], parent: 7 },
+    'minor':            { name: 'Minor (Aeolian)',  intervals: [0, 2, 3, 5, 7, 8, 10], parent: 9 },
+    'locrian':          { name: 'Locrian',          intervals: [0, 1, 3, 5, 6, 8, 10], parent: 11 },
+    'harmonic_minor':   { name: 'Harmonic Minor',   intervals: [0, 2, 3, 5, 7, 8, 11], parent: 9 },
+    'melodic_minor':    { name: 'Melodic Minor',    intervals: [0, 2, 3, 5, 7, 9, 11], parent: 9 },
+    'major_pentatonic': { name: 'Major Pentatonic', intervals: [0, 2, 4, 7, 9],        parent: 0 },
+    'minor_pentatonic': { name: 'Minor Pentatonic', intervals: [0, 3, 5, 7, 10],       parent: 9 },
+    'blues':            { name: 'Blues',            intervals: [0, 3, 5, 6, 7, 10],    parent: 9 },
+    'whole_tone':       { name: 'Whole Tone',       intervals: [0, 2, 4, 6, 8, 10],    parent: null },
+};
 
-function isThumbsDown(landmarks) {
-    const thumb = landmarks[4];
-    const index = landmarks[8];
-    const middle = landmarks[12];
-    const ring = landmarks[16];
-    const pinky = landmarks[20];
-    const wrist = landmarks[0];
+// Active key. `transpose` shifts everything by semitones on top of the chosen root/octave.
+const scaleSettings = {
+    root: 'C',
+    mode: 'minor',
+    octave: 4,
+    octaveRange: 1,
+    transpose: 0,
+};
 
-    // Thumb should be extended and other fingers folded
-    const thumbExtended = thumb.y < landmarks[3].y;
-    const othersFolded = index.y > landmarks[6].y && 
-                        middle.y > landmarks[10].y &&
-                        ring.y > landmarks[14].y &&
-                        pinky.y > landmarks[18].y;
-    
-    // Thumb should be below wrist (pointing down)
-    const thumbDown = thumb.y > wrist.y;
+// Gestures in the order they walk up the scale (first gesture = root)
+const GESTURE_ORDER = ['peace', 'point', 'thumbs_up', 'rock', 'ok', 'thumbs_down', 'point_camera', 'palm'];
 
-    return thumbExtended && othersFolded && thumbDown;
-}
+const gestureInfo = {
+    'peace': { emoji: '✌️', name: 'Peace' },
+    'point': { emoji: '☝️', name: 'Pointing Up' },
+    'thumbs_up': { emoji: '👍', name: 'Thumbs Up' },
+    'rock': { emoji: '🤘', name: 'Rock On' },
+    'ok': { emoji: '👌', name: 'OK Sign' },
+    'thumbs_down': { emoji: '👎', name: 'Thumbs Down' },
+    'point_camera': { emoji: '👉', name: 'Point at Camera' },
+    'palm': { emoji: '✋', name: 'Palm Hand' },
+    // not in GESTURE_ORDER: these have no note and are only used for hands-free controls
+    'fist': { emoji: '✊', name: 'Fist' },
+    'shaka': { emoji: '🤙', name: 'Call Me' },
+};
 
-function isOKSign(landmarks) {
-    const thumb = landmarks[4];
-    const index = landmarks[8];
-    const middle = landmarks[12];
+// Poses outside GESTURE_ORDER: they have no note of their own and start out bound to controls
+const CONTROL_ONLY_GESTURES = ['fist', 'shaka'];
 
-    // Thumb and index should be close together
-    const thumbIndexDist = Math.hypot(
-        thumb.x - index.x,
-        thumb.y - index.y
-    );
+// Controls a gesture can be bound to (see Hands-Free Controls and Gesture Control Layer)
+const GESTURE_CONTROLS = {
+    'sustain': '🦶 Sustain',
+    'latch': '🔒 Latch',
+    'drone': '🎻 Drone',
+    'arm': '🎛 Control layer',
+};
 
-    // Other fingers should be extended
-    const middleExtended = middle.y < landmarks[10].y;
+// What each gesture does, built-in or custom: gesture id -> binding. Gestures without an entry
+// use getDefaultGestureBinding(). Bindings:
+// - { type: 'pattern', degree | note }: the gesture's sequence pattern from a scale degree or a
+//   fixed note (played as a chord or drum hit instead in chord mode or on the drum kit)
+// - { type: 'note', degree | note }: just that note
+// - { type: 'chord', degree }: the diatonic chord on the degree
+// - { type: 'sample', sample }: a one-shot drum kit sound, whatever the hand's instrument
+// - { type: 'action', action }: one of customGestureActions
+// - { type: 'control', control }: one of GESTURE_CONTROLS; at most one gesture per control
+// - null: nothing
+// gestureNotes, gestureLabels, the legend, the pads and the keyboard help are all generated
+// from it, so they always show what actually plays.
+const gestureMappings = {};
+const gestureMappingListeners = [];
 
-    return thumbIndexDist < 0.08 && middleExtended;
-}
+// Generated from gestureMappings by refreshGestureMappings(); rebuilt in place so references
+// to them stay valid
+const gestureNotes = {};
+const gestureLabels = {};
+// Scale for random sequences
+const musicScale = [];
 
-function isPointingAtCamera(landmarks) {
-    const index = landmarks[8];
-    const middle = landmarks[12];
-    const ring = landmarks[16];
-    const pinky = landmarks[20];
-    const thumb = landmarks[4];
+function pitchClassOf(name) {
+    let pc = NOTE_NAMES_SHARP.indexOf(name);
+    if (pc === -1) pc = NOTE_NAMES_FLAT.indexOf(name);
+    return pc;
+}
 
-    // Index extended, other fingers folded
-    const indexExtended = index.y < landmarks[6].y;
-    const othersFolded = middle.y > landmarks[10].y &&
-                        ring.y > landmarks[14].y &&
-                        pinky.y > landmarks[18].y &&
-                        thumb.y > landmarks[3].y;
+function noteToMidi(note) {
+    const match = /^([A-G][#b]?)(-?\d+)$/.exec(note);
+    if (!match) return null;
+    const pc = pitchClassOf(match[1]);
+    if (pc === -1) return null;
+    return (parseInt(match[2], 10) + 1) * 12 + pc;
+}
 
-    // Index should be pointing forward (z depth would be forward, but we check hand orientation)
-    return indexExtended && othersFolded;
+function midiToNote(midi, useFlats = false) {
+    const names = useFlats ? NOTE_NAMES_FLAT : NOTE_NAMES_SHARP;
+    const pc = ((midi % 12) + 12) % 12;
+    return `${names[pc]}${Math.floor(midi / 12) - 1}`;
 }
 
-function isPalmOpen(landmarks) {
-    // All fingers extended
-    const allExtended = landmarks[8].y < landmarks[6].y &&   // index
-                       landmarks[12].y < landmarks[10].y &&  // middle
-                       landmarks[16].y < landmarks[14].y &&  // ring
-                       landmarks[20].y < landmarks[18].y &&  // pinky
-                       landmarks[4].y < landmarks[3].y;      // thumb
+function midiToFrequency(midi) {
+    return 440 * Math.pow(2, (midi - 69) / 12);
+}
 
-    // Palm should be relatively flat (all fingers at similar y level)
-    const fingerTips = [landmarks[8].y, landmarks[12].y, landmarks[16].y, landmarks[20].y];
-    const maxY = Math.max(...fingerTips);
-    const minY = Math.min(...fingerTips);
-    const fingerSpread = maxY - minY < 0.15;
+// Whether a scale on this root pitch class should be written with flats
+function scaleUsesFlats(rootPc, mode) {
+    const info = SCALE_MODES[mode];
+    if (!info || info.parent === null) return ROOT_NAMES[rootPc].endsWith('b');
+    const parentKey = ((rootPc - info.parent) % 12 + 12) % 12;
+    return FLAT_MAJOR_KEYS.includes(parentKey);
+}
 
-    return allExtended && fingerSpread;
+// Resolve the current settings into a root MIDI number, intervals and spelling
+function resolveScale(settings = scaleSettings) {
+    const info = SCALE_MODES[settings.mode] || SCALE_MODES.minor;
+    const rootPc = Math.max(0, pitchClassOf(settings.root));
+    const rootMidi = (settings.octave + 1) * 12 + rootPc + (settings.transpose || 0);
+    const transposedPc = ((rootMidi % 12) + 12) % 12;
+    return {
+        rootMidi,
+        intervals: info.intervals,
+        useFlats: scaleUsesFlats(transposedPc, settings.mode),
+    };
 }
 
-function detectHandedness(landmarks) {
-    // Simple heuristic: if hand leans right it's right hand
-    const palm = landmarks.slice(0, 5).reduce((sum, p) => sum + p.x, 0) / 5;
-    return palm > 0.5 ? 'right' : 'left';
+// Note at a scale degree (0 = root); degrees past the end continue into higher octaves
+function scaleDegreeToNote(degree, settings = scaleSettings) {
+    const { rootMidi, intervals, useFlats } = resolveScale(settings);
+    const len = intervals.length;
+    const octaveShift = Math.floor(degree / len);
+    const step = ((degree % len) + len) % len;
+    return midiToNote(rootMidi + octaveShift * 12 + intervals[step], useFlats);
 }
 
-// ============================================
-// MediaPipe Callback
-// ============================================
-function onHandsResults(results) {
-    // Draw video only if ready; otherwise use a semi-transparent overlay to keep screen bright
-    if (video.readyState === video.HAVE_ENOUGH_DATA) {
-        ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
-    } else {
-        // Keep canvas visible with a subtle overlay instead of clearing to black
-        ctx.fillStyle = 'rgba(102, 126, 234, 0.15)';
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
+// All scale notes across the octave range, ending on the top root
+function buildScaleNotes(settings = scaleSettings) {
+    const { intervals } = resolveScale(settings);
+    const notes = [];
+    const range = Math.max(1, settings.octaveRange || 1);
+    for (let degree = 0; degree <= intervals.length * range; degree++) {
+        notes.push(scaleDegreeToNote(degree, settings));
     }
+    return notes;
+}
 
-    const fingertips = [4, 8, 12, 16, 20];
+// Drop the octave number when it's the home octave, e.g. 'Eb4' -> 'Eb' but 'C5' stays
+function formatNoteLabel(note) {
+    const homeOctave = Math.floor(resolveScale().rootMidi / 12) - 1;
+    const match = /^([A-G][#b]?)(-?\d+)$/.exec(note);
+    if (!match) return note;
+    return parseInt(match[2], 10) === homeOctave ? match[1] : note;
+}
 
-    if (results.multiHandLandmarks && results.multiHandLandmarks.length > 0) {
-        // Build a display string for all detected hands
-        const displayParts = [];
+function getScaleDescription() {
+    const { rootMidi, useFlats } = resolveScale();
+    const names = useFlats ? NOTE_NAMES_FLAT : NOTE_NAMES_SHARP;
+    const mode = SCALE_MODES[scaleSettings.mode] || SCALE_MODES.minor;
+    return `${names[((rootMidi % 12) + 12) % 12]} ${mode.name}`;
+}
 
-        // Iterate each detected hand
-        for (let i = 0; i < results.multiHandLandmarks.length; i++) {
-            const landmarks = results.multiHandLandmarks[i];
-            let handLabel = null;
-            if (results.multiHandedness && results.multiHandedness[i] && results.multiHandedness[i].label) {
-                handLabel = results.multiHandedness[i].label.toLowerCase(); // 'left' or 'right'
-            } else {
-                handLabel = detectHandedness(landmarks);
-            }
+// Called after every applyScale() so dependent tables and controls can follow the key
+const scaleChangeListeners = [];
 
-            const idKey = handLabel || `hand${i}`;
-            const gesture = getHandGesture(landmarks);
+function onScaleChange(listener) {
+    scaleChangeListeners.push(listener);
+}
 
-            if (gesture) {
-                displayParts.push(`${handLabel || 'hand'+i}: ${gestureLabels[gesture] || gesture}`);
-
-                const now = Date.now();
-                const lastTime = lastGestureTimeByHand[idKey] || 0;
-                const lastGesture = lastPlayedGestureByHand[idKey] || null;
-
-                // Trigger sound if gesture changed for this hand
-                if (gesture !== lastGesture && (now - lastTime > 200)) {
-                    // Play the gesture sequence for this hand (simultaneous calls are allowed)
-                    playGestureSound(gesture);
-
-                    // Create fireworks at all fingertips for this hand
-                    for (const fingertipIndex of fingertips) {
-                        const fingertip = landmarks[fingertipIndex];
-                        const fx = fingertip.x * canvas.width;
-                        const fy = fingertip.y * canvas.height;
-                        createFireworks(fx, fy, 8);
-                        createStatic(fx, fy);
-                    }
+// Rebuild the random-sequence pool and the gesture notes, labels and legend from scaleSettings
+function applyScale(changes = {}) {
+    Object.assign(scaleSettings, changes);
 
-                    lastPlayedGestureByHand[idKey] = gesture;
-                    lastGestureTimeByHand[idKey] = now;
-                }
-            } else {
-                displayParts.push(`${handLabel || 'hand'+i}: Unknown`);
-            }
+    musicScale.splice(0, musicScale.length, ...buildScaleNotes());
+    refreshGestureMappings();
+    for (const listener of scaleChangeListeners) listener();
 
-            // Draw landmarks for this hand
-            drawHand(landmarks);
-        }
+    syncScaleControls();
+    console.log('Scale set to', getScaleDescription(), musicScale);
+}
 
-        gestureDisplay.textContent = displayParts.join(' | ');
-    } else {
-        gestureDisplay.textContent = 'No hand detected';
-        lastPlayedGestureByHand = {};
-        lastGestureTimeByHand = {};
-    }
+// Called after every refreshGestureMappings(), so everything showing a gesture's sound follows
+function onGestureMappingChange(listener) {
+    gestureMappingListeners.push(listener);
+}
 
-    // Update and draw particles
-    updateParticles();
-    // Update electric static effects
-    updateStaticEffects();
+function getDefaultGestureBinding(gesture) {
+    const degree = GESTURE_ORDER.indexOf(gesture);
+    if (degree !== -1) return { type: 'pattern', degree };
+    if (gesture === 'fist') return { type: 'control', control: 'sustain' };
+    if (gesture === 'shaka') return { type: 'control', control: 'arm' };
+    return null;
 }
 
-function drawHand(landmarks) {
-    // Draw connections
-    const connections = [
-        [0, 1], [1, 2], [2, 3], [3, 4],
-        [0, 5], [5, 6], [6, 7], [7, 8],
-        [0, 9], [9, 10], [10, 11], [11, 12],
-        [0, 13], [13, 14], [14, 15], [15, 16],
-        [0, 17], [17, 18], [18, 19], [19, 20],
-        [5, 9], [9, 13], [13, 17],
-    ];
+function getGestureBinding(gesture) {
+    return Object.hasOwn(gestureMappings, gesture) ? gestureMappings[gesture] : getDefaultGestureBinding(gesture);
+}
 
-    ctx.strokeStyle = '#667eea';
-    ctx.lineWidth = 2;
-    ctx.lineCap = 'round';
-    ctx.lineJoin = 'round';
+// Built-ins, control-only poses, then custom gestures (which are in gestureMappings once loaded)
+function getMappableGestures() {
+    const custom = Object.keys(gestureMappings).filter(id => !gestureInfo[id]);
+    return [...GESTURE_ORDER, ...CONTROL_ONLY_GESTURES, ...custom];
+}
 
-    for (const [start, end] of connections) {
-        const s = landmarks[start];
-        const e = landmarks[end];
-        ctx.beginPath();
-        ctx.moveTo(s.x * canvas.width, s.y * canvas.height);
-        ctx.lineTo(e.x * canvas.width, e.y * canvas.height);
-        ctx.stroke();
+function getGestureName(gesture) {
+    const info = gestureInfo[gesture];
+    if (info) return `${info.emoji} ${info.name}`;
+    const custom = findCustomGesture(gesture);
+    return `🖐️ ${custom ? custom.name : gesture}`;
+}
+
+// Root note of a pattern, note or chord binding
+function getBindingNote(binding) {
+    if (!binding || !['pattern', 'note', 'chord'].includes(binding.type)) return null;
+    if (Number.isInteger(binding.degree)) return scaleDegreeToNote(binding.degree);
+    return binding.note || null;
+}
+
+// Short form for labels ('Eb', '♪ Eb'); the legend uses the long form ('Eb pattern', 'Eb note')
+function describeGestureBinding(binding, long = false) {
+    if (!binding) return 'Nothing';
+    const root = getBindingNote(binding);
+    const note = root ? formatNoteLabel(root) : null;
+    switch (binding.type) {
+        case 'pattern':
+            return long ? `${note} pattern` : note;
+        case 'note':
+            return long ? `${note} note` : `♪ ${note}`;
+        case 'chord':
+            return `🎶 ${note} chord`;
+        case 'sample':
+            return `🥁 ${DRUM_SOUNDS[binding.sample].name}`;
+        case 'action':
+            return customGestureActions[binding.action].label;
+        case 'control':
+            return GESTURE_CONTROLS[binding.control];
+        default:
+            return binding.type;
     }
+}
 
-    // Draw landmarks
-    ctx.fillStyle = '#f093fb';
-    for (const landmark of landmarks) {
-        ctx.beginPath();
-        ctx.arc(
-            landmark.x * canvas.width,
-            landmark.y * canvas.height,
-            5,
-            0,
-            2 * Math.PI
-        );
-        ctx.fill();
+// Rebuild gestureNotes, gestureLabels and the legend, then let everything else follow
+function refreshGestureMappings() {
+    for (const key of Object.keys(gestureNotes)) delete gestureNotes[key];
+    for (const key of Object.keys(gestureLabels)) delete gestureLabels[key];
+    for (const gesture of getMappableGestures()) {
+        const binding = getGestureBinding(gesture);
+        const note = getBindingNote(binding);
+        if (note) gestureNotes[gesture] = note;
+        gestureLabels[gesture] = binding
+            ? `${getGestureName(gesture)} (${describeGestureBinding(binding)})`
+            : getGestureName(gesture);
     }
+    renderGestureLegend();
+    for (const listener of gestureMappingListeners) listener();
 }
 
-// ============================================
-// Sound Playback
-// ============================================
-function getRandomNoteSequence(baseNote, length = 8) {
-    // Start with the base note, then randomize remaining notes from scale
-    const sequence = [baseNote];
-    for (let i = 1; i < length; i++) {
-        const randomNote = musicScale[Math.floor(Math.random() * musicScale.length)];
-        sequence.push(randomNote);
+function renderGestureLegend() {
+    const legend = document.getElementById('gestureLegend');
+    if (!legend) return;
+    legend.innerHTML = '';
+    for (const gesture of getMappableGestures()) {
+        const binding = getGestureBinding(gesture);
+        if (!binding) continue;
+        const li = document.createElement('li');
+        li.textContent = `${getGestureName(gesture)}: ${describeGestureBinding(binding, true)}`;
+        legend.appendChild(li);
     }
-    return sequence;
+    const title = document.getElementById('legendTitle');
+    if (title) title.textContent = `Gesture Sound Map (${getScaleDescription()}):`;
 }
 
-async function playNoteSequence(notes, tempo = 0.15) {
-    try {
-        // Ensure audio context is started
-        if (Tone.context.state !== 'running') {
-            await Tone.start();
-        }
+// Populate the key/scale selectors and keep them in sync with scaleSettings
+function initScaleControls() {
+    const rootSelect = document.getElementById('scaleRoot');
+    const modeSelect = document.getElementById('scaleMode');
+    const octaveSelect = document.getElementById('scaleOctave');
+    const rangeSelect = document.getElementById('scaleRange');
+    const transposeInput = document.getElementById('scaleTranspose');
+    if (!rootSelect || !modeSelect) return;
 
-        for (const note of notes) {
-            if (isSpaceDown) {
-                // If we're already at max polyphony, skip adding more sustained notes
-                if (heldNotes.length >= MAX_POLYPHONY) {
-                    console.warn('Max polyphony reached, skipping sustain for', note);
-                } else {
-                    // sustain the played note until space is released
-                    try {
-                        polySynth.triggerAttack(note, Tone.now());
-                        if (!heldNotes.includes(note)) heldNotes.push(note);
-                    } catch (err) {
-                        console.warn('triggerAttack error:', err);
-                    }
-                }
-            } else {
-                // schedule attack+release explicitly
-                try {
-                    polySynth.triggerAttackRelease(note, tempo, Tone.now());
-                } catch (err) {
-                    console.warn('triggerAttackRelease error:', err);
-                }
-            }
-            await new Promise(resolve => setTimeout(resolve, tempo * 1000));
-        }
-    } catch (error) {
-        console.error('Error playing sequence:', error);
+    for (const name of ROOT_NAMES) {
+        rootSelect.add(new Option(name, name));
+    }
+    for (const [id, info] of Object.entries(SCALE_MODES)) {
+        modeSelect.add(new Option(info.name, id));
+    }
+
+    rootSelect.addEventListener('change', () => applyScale({ root: rootSelect.value }));
+    modeSelect.addEventListener('change', () => applyScale({ mode: modeSelect.value }));
+    if (octaveSelect) {
+        octaveSelect.addEventListener('change', () => applyScale({ octave: parseInt(octaveSelect.value, 10) }));
+    }
+    if (rangeSelect) {
+        rangeSelect.addEventListener('change', () => applyScale({ octaveRange: parseInt(rangeSelect.value, 10) }));
+    }
+    if (transposeInput) {
+        transposeInput.addEventListener('change', () => {
+            const semitones = Math.max(-12, Math.min(12, parseInt(transposeInput.value, 10) || 0));
+            transposeInput.value = String(semitones);
+            applyScale({ transpose: semitones });
+        });
     }
 }
 
-async function playGestureSound(gesture) {
-    try {
-        // Ensure audio context is started
-        if (Tone.context.state !== 'running') {
-            await Tone.start();
-        }
-        
-        console.log('Gesture detected:', gesture);
-        
-        // Generate and play random 8-note sequence
-        const sequence = getRandomNoteSequence(gestureNotes[gesture], 8);
-        console.log('Playing sequence:', sequence);
-        
-        // Play sequence asynchronously so UI doesn't freeze
-        playNoteSequence(sequence, 0.12);
-    } catch (error) {
-        console.error('Error playing sound:', error);
+// Reflect scaleSettings in the selectors (settings can change from MIDI input, presets, ...)
+function syncScaleControls() {
+    const values = {
+        scaleRoot: scaleSettings.root,
+        scaleMode: scaleSettings.mode,
+        scaleOctave: scaleSettings.octave,
+        scaleRange: scaleSettings.octaveRange,
+        scaleTranspose: scaleSettings.transpose,
+    };
+    for (const [id, value] of Object.entries(values)) {
+        const el = document.getElementById(id);
+        if (el) el.value = String(value);
     }
 }
 
+initScaleControls();
+applyScale();
+
 // ============================================
-// Button Controls
+// Performance Events
 // ============================================
-document.getElementById('startBtn').addEventListener('click', async () => {
-    await Tone.start();
-    await initializeHands();
-    isRunning = true;
-    camera.start();
+// Every note, sustain and oscillator change is broadcast here so recorders
+// (looper, event log, ...) can capture exactly what was played.
+// Events: { type: 'noteon'|'noteoff'|'sustain'|'oscillator'|'control', time, note?, hand?, velocity?, value?, oscillator?, control? }
+// `time` is in AudioContext seconds (Tone.now()) and may be slightly in the future.
+const performanceListeners = [];
+
+function onPerformanceEvent(listener) {
+    performanceListeners.push(listener);
+    return () => {
+        const index = performanceListeners.indexOf(listener);
+        if (index !== -1) performanceListeners.splice(index, 1);
+    };
+}
+
+function emitPerformanceEvent(event) {
+    for (const listener of performanceListeners) {
+        try {
+            listener(event);
+        } catch (err) {
+            console.warn('Performance listener error:', err);
+        }
+    }
+}
+
+// ============================================
+// MediaPipe Hand Detection Setup
+// ============================================
+const video = document.getElementById('video');
+const canvas = document.getElementById('canvas');
+setLandmarkAspect(canvas.width / canvas.height);
+const ctx = canvas.getContext('2d');
+const gestureDisplay = document.getElementById('gestureDisplay');
+
+let hands = null;
+let cameraStream = null;
+let cameraFrameId = null;
+let cameraGeneration = 0;   // bumped on every (re)start so a superseded getUserMedia is dropped
+let lastVideoTime = -1;
+let inferenceBusy = false;
+
+// Passed to hands.setOptions(); kept here so presets can restore them.
+// selfieMode mirrors the image (and landmarks) so the view behaves like a mirror; MediaPipe's
+// handedness labels assume a mirrored image, so they're swapped when it's off.
+const mediaPipeSettings = {
+    maxNumHands: 2,
+    modelComplexity: 1,
+    minDetectionConfidence: 0.5,
+    minTrackingConfidence: 0.5,
+    selfieMode: true,
+};
+
+// Which camera to open; changing these restarts the stream but keeps the Hands instance
+const cameraSettings = {
+    deviceId: '',           // '' = browser default
+    resolution: '640x480',
+    adaptive: false,        // step down to the lite model when inference can't keep up
+};
+
+// Adaptive mode: if a frame takes longer than ADAPTIVE_SLOW_MS on average for ADAPTIVE_HOLD_MS,
+// the model drops a level. It only ever steps down; choosing a model again resets it.
+const ADAPTIVE_SLOW_MS = 45;
+const ADAPTIVE_HOLD_MS = 3000;
+const MODEL_SETTLE_MS = 2000;   // switching models reloads the graph; the first frames are slow
+
+const trackingStats = {
+    inferenceMs: 0,             // smoothed time per hands.send()
+    adaptiveComplexity: null,   // model level forced by adaptive mode, or null
+    slowSince: null,
+    settleUntil: 0,
+    renderedAt: 0,
+};
+
+function getEffectiveModelComplexity() {
+    return trackingStats.adaptiveComplexity ?? mediaPipeSettings.modelComplexity;
+}
+
+function applyMediaPipeOptions() {
+    if (hands) hands.setOptions({ ...mediaPipeSettings, modelComplexity: getEffectiveModelComplexity() });
+}
+
+function setMediaPipeOptions(changes) {
+    const mirroredBefore = mediaPipeSettings.selfieMode;
+    Object.assign(mediaPipeSettings, changes);
+    if ('modelComplexity' in changes) resetAdaptiveComplexity();
+    applyMediaPipeOptions();
+    // left and right swap sides, so per-hand history no longer applies
+    if (mediaPipeSettings.selfieMode !== mirroredBefore) resetHandState();
+    syncTrackingControls();
+}
+
+function resetAdaptiveComplexity() {
+    trackingStats.adaptiveComplexity = null;
+    trackingStats.slowSince = null;
+    trackingStats.inferenceMs = 0;
+    trackingStats.settleUntil = performance.now() + MODEL_SETTLE_MS;
+}
+
+function recordInferenceTime(ms) {
+    const now = performance.now();
+    if (now < trackingStats.settleUntil) return;
+    trackingStats.inferenceMs = trackingStats.inferenceMs ? trackingStats.inferenceMs * 0.9 + ms * 0.1 : ms;
+    if (cameraSettings.adaptive) adaptModelComplexity(now);
+    if (now - trackingStats.renderedAt > 500) {
+        trackingStats.renderedAt = now;
+        renderTrackingStatus();
+    }
+}
+
+function adaptModelComplexity(now) {
+    const complexity = getEffectiveModelComplexity();
+    if (trackingStats.inferenceMs <= ADAPTIVE_SLOW_MS || complexity === 0) {
+        trackingStats.slowSince = null;
+        return;
+    }
+    if (trackingStats.slowSince === null) trackingStats.slowSince = now;
+    if (now - trackingStats.slowSince < ADAPTIVE_HOLD_MS) return;
+
+    console.log(`Hand tracking averaging ${Math.round(trackingStats.inferenceMs)} ms/frame; lowering model complexity`);
+    trackingStats.adaptiveComplexity = complexity - 1;
+    trackingStats.slowSince = null;
+    trackingStats.inferenceMs = 0;
+    trackingStats.settleUntil = now + MODEL_SETTLE_MS;
+    applyMediaPipeOptions();
+    renderTrackingStatus();
+}
+let isRunning = false;
+let lastPlayedGesture = null;
+let gestureChangeTime = 0;
+// Per-hand state to support two-hand simultaneous triggering
+let lastPlayedGestureByHand = {}; // key: hand id ('left'|'right' or index)
+let lastGestureTimeByHand = {};
+
+// Sustain pedal (held with Space, or toggled from the gesture control layer):
+// when true, every hand's notes are sustained
+let isSpaceDown = false;
+// Hands sustaining with the sustain pose, and hands in latch mode
+const sustainedHands = new Set();
+const latchedHands = new Set();
+// Notes currently held, per hand: hand -> [{ note, voice, gesture }].
+// Latched notes carry the gesture that started them and wait for it to come round again;
+// sustained notes (gesture null) are released when that hand's sustain ends.
+const heldNotesByHand = new Map();
+
+function isSustainOn(hand) {
+    return isSpaceDown || sustainedHands.has(hand);
+}
+
+function getHeldNotes() {
+    const held = [];
+    for (const [hand, entries] of heldNotesByHand) {
+        for (const entry of entries) held.push({ hand, ...entry });
+    }
+    return held;
+}
+
+function holdNote(hand, note, voice, gesture = null) {
+    if (!heldNotesByHand.has(hand)) heldNotesByHand.set(hand, []);
+    heldNotesByHand.get(hand).push({ note, voice, gesture });
+}
+
+// Release this hand's held notes that match `filter`; other hands keep theirs
+function releaseHeldNotes(hand, filter = () => true) {
+    const entries = heldNotesByHand.get(hand);
+    if (!entries || entries.length === 0) return;
+    const releaseTime = Tone.now();
+    const kept = [];
+    for (const entry of entries) {
+        if (!filter(entry)) {
+            kept.push(entry);
+            continue;
+        }
+        emitPerformanceEvent({ type: 'noteoff', note: entry.note, hand, time: releaseTime });
+        try {
+            // a PolySynth releases one voice per call, so a note the other hand holds keeps sounding
+            entry.voice.triggerRelease(entry.note, releaseTime);
+        } catch (err) {
+            console.warn('triggerRelease error:', err);
+        }
+    }
+    if (kept.length > 0) {
+        heldNotesByHand.set(hand, kept);
+    } else {
+        heldNotesByHand.delete(hand);
+    }
+}
+
+// Sustained (not latched) notes of hands whose sustain has ended
+function releaseUnsustainedNotes() {
+    for (const hand of Array.from(heldNotesByHand.keys())) {
+        if (!isSustainOn(hand)) releaseHeldNotes(hand, entry => !entry.gesture);
+    }
+}
+
+function setSustainPedal(down) {
+    if (down === isSpaceDown) return;
+    isSpaceDown = down;
+    // release what the pedal was holding; pose sustain and latched notes stay
+    if (!down) releaseUnsustainedNotes();
+    emitPerformanceEvent({ type: 'sustain', value: down, time: Tone.now() });
+}
+
+function releaseAllHeldNotes() {
+    if (heldNotesByHand.size === 0) return;
+    console.log('Releasing held notes:', getHeldNotes().map(entry => entry.note));
+    for (const hand of Array.from(heldNotesByHand.keys())) releaseHeldNotes(hand);
+}
+
+// Initialize MediaPipe Hands (once; later changes go through setOptions)
+function initializeHands() {
+    if (hands) return hands;
+    hands = new window.Hands({
+        locateFile: (file) => {
+            return `https://cdn.jsdelivr.net/npm/@mediapipe/hands/${file}`;
+        }
+    });
+
+    applyMediaPipeOptions();
+
+    hands.onResults(handleLiveHandsResults);
+    return hands;
+}
+
+function getCameraConstraints() {
+    const [width, height] = cameraSettings.resolution.split('x').map(Number);
+    const constraints = { width: { ideal: width }, height: { ideal: height } };
+    if (cameraSettings.deviceId) constraints.deviceId = { exact: cameraSettings.deviceId };
+    return { video: constraints, audio: false };
+}
+
+async function openCameraStream() {
+    try {
+        return await navigator.mediaDevices.getUserMedia(getCameraConstraints());
+    } catch (err) {
+        // a camera chosen earlier may have been unplugged; fall back to the default one
+        if (!cameraSettings.deviceId || !['OverconstrainedError', 'NotFoundError'].includes(err.name)) throw err;
+        console.warn('Selected camera unavailable, using the default:', err);
+        cameraSettings.deviceId = '';
+        return navigator.mediaDevices.getUserMedia(getCameraConstraints());
+    }
+}
+
+// (Re)open the camera with the current settings; safe to call while it's running
+async function startCamera() {
+    const generation = ++cameraGeneration;
+    stopCameraStream();
+    const stream = await openCameraStream();
+    if (generation !== cameraGeneration) {
+        // superseded by a newer start (or a stop) while waiting for permission
+        for (const track of stream.getTracks()) track.stop();
+        return;
+    }
+    cameraStream = stream;
+    video.srcObject = stream;
+    await video.play();
+    // draw at the camera's own size so landmarks and effects aren't stretched
+    canvas.width = video.videoWidth || 640;
+    canvas.height = video.videoHeight || 480;
+    setLandmarkAspect(canvas.width / canvas.height);
+    lastVideoTime = -1;
+    cameraFrameId = requestAnimationFrame(processCameraFrame);
+}
+
+// One frame at a time: a frame that arrives while the model is busy is skipped, not queued
+async function processCameraFrame() {
+    cameraFrameId = requestAnimationFrame(processCameraFrame);
+    if (!isRunning || inferenceBusy || !hands || video.readyState < video.HAVE_CURRENT_DATA) return;
+    if (video.currentTime === lastVideoTime) return;
+    lastVideoTime = video.currentTime;
+
+    inferenceBusy = true;
+    const started = performance.now();
+    try {
+        await hands.send({ image: video });
+    } catch (err) {
+        console.error('Hand tracking error:', err);
+    } finally {
+        inferenceBusy = false;
+    }
+    recordInferenceTime(performance.now() - started);
+}
+
+function stopCameraStream() {
+    if (cameraFrameId !== null) {
+        cancelAnimationFrame(cameraFrameId);
+        cameraFrameId = null;
+    }
+    if (cameraStream) {
+        for (const track of cameraStream.getTracks()) track.stop();
+        cameraStream = null;
+    }
+    video.srcObject = null;
+}
+
+function stopCamera() {
+    cameraGeneration++;
+    stopCameraStream();
+}
+
+// Mirror the video to match the landmarks when selfie mode is on
+function drawVideoFrame() {
+    if (!mediaPipeSettings.selfieMode) {
+        ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+        return;
+    }
+    ctx.save();
+    ctx.translate(canvas.width, 0);
+    ctx.scale(-1, 1);
+    ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+    ctx.restore();
+}
+
+// MediaPipe labels hands as if the image were mirrored; swap the labels when it isn't
+function correctHandedness(results) {
+    if (mediaPipeSettings.selfieMode || !results.multiHandedness) return results;
+    const swapped = { Left: 'Right', Right: 'Left' };
+    return {
+        ...results,
+        multiHandedness: results.multiHandedness.map(h => ({ ...h, label: swapped[h.label] || h.label })),
+    };
+}
+
+// ============================================
+// Visual Effects
+// ============================================
+// Fireworks and static sparks share one fixed pool of particles, so a busy two-hand session
+// can't allocate (or draw) more than the budget. Particles are drawn from pre-rendered glow
+// sprites instead of building a gradient per spark per frame.
+const MAX_PARTICLES = 800;
+const SPRITE_SIZE = 32;
+const SPRITE_HUE_STEP = 10;
+
+const VISUAL_MODES = {
+    'fireworks': '🎆 Fireworks',
+    'pitch': '🌈 Note colours',
+    'spectrum': '📊 Spectrum',
+    'waveform': '⭕ Waveform ring',
+};
+
+const visualSettings = {
+    mode: 'fireworks',
+    particleBudget: 400,
+    reducedMotion: !!(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches),
+};
+
+class Particle {
+    constructor() {
+        this.reset(0, 0, 'firework', 0);
+    }
+
+    reset(x, y, kind, hue) {
+        this.kind = kind;
+        this.x = x;
+        this.y = y;
+        this.hue = hue;
+        this.life = 1;
+        if (kind === 'spark') {
+            this.x += (Math.random() - 0.5) * 20;
+            this.y += (Math.random() - 0.5) * 20;
+            this.vx = (Math.random() - 0.5) * 1.5;
+            this.vy = (Math.random() - 0.5) * 1.5;
+            this.decay = 0.01;
+            this.size = Math.random() * 2 + 0.5;
+            this.flicker = Math.random() * 0.8 + 0.2;
+        } else {
+            this.vx = (Math.random() - 0.5) * 12;
+            this.vy = (Math.random() - 0.5) * 12 - 3;
+            this.decay = Math.random() * 0.04 + 0.03;
+            this.size = Math.random() * 4 + 2;
+            this.flicker = 1;
+        }
+        return this;
+    }
+
+    update() {
+        this.x += this.vx;
+        this.y += this.vy;
+        if (this.kind === 'spark') {
+            // small random jitter
+            this.vx += (Math.random() - 0.5) * 0.1;
+            this.vy += (Math.random() - 0.5) * 0.1;
+        } else {
+            this.vy += 0.35; // gravity
+        }
+        this.life -= this.decay;
+    }
+
+    draw(ctx) {
+        const sprite = getGlowSprite(this.hue);
+        const radius = this.kind === 'spark' ? this.size * 6 : this.size * 2;
+        ctx.globalAlpha = Math.max(0, this.life) * this.flicker;
+        ctx.drawImage(sprite, this.x - radius, this.y - radius, radius * 2, radius * 2);
+    }
+}
+
+// Active particles are kept at the front of the array; dead ones are swapped past `active`
+const particlePool = {
+    items: Array.from({ length: MAX_PARTICLES }, () => new Particle()),
+    active: 0,
+};
+
+// hue (rounded to SPRITE_HUE_STEP) -> offscreen canvas with a soft glow
+const glowSprites = {};
+
+function getGlowSprite(hue) {
+    const key = Math.round(hue / SPRITE_HUE_STEP) * SPRITE_HUE_STEP % 360;
+    if (!glowSprites[key]) {
+        const sprite = document.createElement('canvas');
+        sprite.width = SPRITE_SIZE;
+        sprite.height = SPRITE_SIZE;
+        const spriteCtx = sprite.getContext('2d');
+        if (spriteCtx) {
+            const r = SPRITE_SIZE / 2;
+            const g = spriteCtx.createRadialGradient(r, r, 0, r, r, r);
+            g.addColorStop(0, `hsla(${key}, 100%, 90%, 1)`);
+            g.addColorStop(0.2, `hsla(${key}, 100%, 70%, 0.9)`);
+            g.addColorStop(0.6, `hsla(${key}, 100%, 55%, 0.4)`);
+            g.addColorStop(1, `hsla(${key}, 100%, 20%, 0)`);
+            spriteCtx.fillStyle = g;
+            spriteCtx.fillRect(0, 0, SPRITE_SIZE, SPRITE_SIZE);
+        }
+        glowSprites[key] = sprite;
+    }
+    return glowSprites[key];
+}
+
+function spawnParticles(x, y, count, kind, hue) {
+    if (visualSettings.reducedMotion) return;
+    const budget = Math.min(MAX_PARTICLES, visualSettings.particleBudget);
+    for (let i = 0; i < count && particlePool.active < budget; i++) {
+        const particleHue = hue ?? Math.random() * 60 + 280;
+        particlePool.items[particlePool.active++].reset(x, y, kind, particleHue);
+    }
+}
+
+// Create fireworks at position
+function createFireworks(x, y, count = 20, hue = null) {
+    spawnParticles(x, y, count, 'firework', hue);
+}
+
+// Create an electric static burst at (x,y)
+function createStatic(x, y, count = 24) {
+    spawnParticles(x, y, count, 'spark', 210);
+}
+
+// Update and draw every live particle in one batch
+function updateParticles() {
+    const pool = particlePool;
+    ctx.save();
+    ctx.globalCompositeOperation = 'lighter';
+    let i = 0;
+    while (i < pool.active) {
+        const particle = pool.items[i];
+        particle.update();
+        if (particle.life <= 0) {
+            // swap the dead particle with the last live one
+            pool.active--;
+            pool.items[i] = pool.items[pool.active];
+            pool.items[pool.active] = particle;
+            continue;
+        }
+        particle.draw(ctx);
+        i++;
+    }
+    ctx.restore();
+}
+
+function clearParticles() {
+    particlePool.active = 0;
+}
+
+// Bursts at the fingertips when a hand's gesture changes
+function triggerGestureVisuals(landmarks) {
+    if (visualSettings.mode === 'pitch') return; // note bursts take over in this mode
+    for (const fingertipIndex of [4, 8, 12, 16, 20]) {
+        const fingertip = landmarks[fingertipIndex];
+        const fx = fingertip.x * canvas.width;
+        const fy = fingertip.y * canvas.height;
+        createFireworks(fx, fy, 8);
+        if (visualSettings.mode === 'fireworks') createStatic(fx, fy);
+    }
+}
+
+// --- Audio- and pitch-driven visuals ---
+
+// Last palm position (canvas pixels) of each hand, for effects that follow the hands
+let visualHandAnchors = {};
+let lastNoteHue = 280;
+const visualAnalysers = {};
+
+function setVisualHandAnchor(hand, landmarks) {
+    visualHandAnchors[hand] = { x: landmarks[9].x * canvas.width, y: landmarks[9].y * canvas.height };
+}
+
+// Colour wheel over the scale: the root is red, each degree steps evenly round the wheel
+function getNoteHue(note) {
+    const midi = noteToMidi(note);
+    if (midi === null) return 0;
+    const { rootMidi, intervals } = resolveScale();
+    const semitone = (((midi - rootMidi) % 12) + 12) % 12;
+    const degree = intervals.indexOf(semitone);
+    if (degree === -1) return semitone / 12 * 360;
+    return degree / intervals.length * 360;
+}
+
+// Analysers tap the master output; created on first use
+function getVisualAnalyser(type) {
+    if (!visualAnalysers[type]) {
+        visualAnalysers[type] = type === 'fft'
+            ? new Tone.Analyser({ type: 'fft', size: 64 })
+            : new Tone.Analyser({ type: 'waveform', size: 256 });
+        Tone.Destination.connect(visualAnalysers[type]);
+    }
+    visualAnalysers[type].smoothing = visualSettings.reducedMotion ? 0.95 : 0.7;
+    return visualAnalysers[type];
+}
+
+function drawSpectrum() {
+    const values = getVisualAnalyser('fft').getValue();
+    const barWidth = canvas.width / values.length;
+    ctx.save();
+    for (let i = 0; i < values.length; i++) {
+        // dB (-100..0) to bar height
+        const level = Math.max(0, Math.min(1, (values[i] + 100) / 100));
+        const height = level * canvas.height * 0.5;
+        ctx.fillStyle = `hsla(${(i / values.length) * 300}, 90%, 60%, 0.6)`;
+        ctx.fillRect(i * barWidth + 1, canvas.height - height, barWidth - 2, height);
+    }
+    ctx.restore();
+}
+
+function drawWaveformRing() {
+    const values = getVisualAnalyser('waveform').getValue();
+    const anchors = Object.values(visualHandAnchors);
+    if (anchors.length === 0) anchors.push({ x: canvas.width / 2, y: canvas.height / 2 });
+
+    ctx.save();
+    ctx.strokeStyle = `hsl(${lastNoteHue}, 100%, 65%)`;
+    ctx.lineWidth = 2;
+    for (const anchor of anchors) {
+        ctx.beginPath();
+        for (let i = 0; i <= values.length; i++) {
+            const angle = (i / values.length) * Math.PI * 2;
+            const radius = 60 + values[i % values.length] * 40;
+            const x = anchor.x + Math.cos(angle) * radius;
+            const y = anchor.y + Math.sin(angle) * radius;
+            if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+        }
+        ctx.stroke();
+    }
+    ctx.restore();
+}
+
+// Note bursts are drawn when the note actually sounds, not when it's scheduled
+onPerformanceEvent((event) => {
+    if (event.type !== 'noteon') return;
+    const hue = getNoteHue(event.note);
+    Tone.Draw.schedule(() => {
+        lastNoteHue = hue;
+        if (visualSettings.mode !== 'pitch') return;
+        const anchor = visualHandAnchors[event.hand] || { x: canvas.width / 2, y: canvas.height / 2 };
+        createFireworks(anchor.x, anchor.y, 12, hue);
+    }, event.time);
+});
+
+// Called once per camera frame, after the video and hands are drawn
+function renderVisuals() {
+    if (visualSettings.mode === 'spectrum') drawSpectrum();
+    if (visualSettings.mode === 'waveform') drawWaveformRing();
+    updateParticles();
+}
+
+function syncVisualControls() {
+    const modeSelect = document.getElementById('visualMode');
+    const budgetInput = document.getElementById('visualBudget');
+    const reducedInput = document.getElementById('visualReducedMotion');
+    if (modeSelect) modeSelect.value = visualSettings.mode;
+    if (budgetInput) budgetInput.value = String(visualSettings.particleBudget);
+    if (reducedInput) reducedInput.checked = visualSettings.reducedMotion;
+}
+
+function initVisualControls() {
+    const modeSelect = document.getElementById('visualMode');
+    const budgetInput = document.getElementById('visualBudget');
+    const reducedInput = document.getElementById('visualReducedMotion');
+
+    if (modeSelect) {
+        for (const [key, name] of Object.entries(VISUAL_MODES)) modeSelect.add(new Option(name, key));
+        modeSelect.addEventListener('change', () => {
+            visualSettings.mode = modeSelect.value;
+        });
+    }
+    if (budgetInput) {
+        budgetInput.max = String(MAX_PARTICLES);
+        budgetInput.addEventListener('input', () => {
+            visualSettings.particleBudget = parseInt(budgetInput.value, 10);
+        });
+    }
+    if (reducedInput) {
+        reducedInput.addEventListener('change', () => {
+            visualSettings.reducedMotion = reducedInput.checked;
+            if (visualSettings.reducedMotion) clearParticles();
+        });
+    }
+    syncVisualControls();
+}
+
+initVisualControls();
+
+// ============================================
+// Gesture Recognition
+// ============================================
+// The pose classifier (getHandGesture, GestureStabilizer) lives in gestures.js.
+let gestureStabilizers = {};
+
+function getGestureStabilizer(idKey) {
+    if (!gestureStabilizers[idKey]) gestureStabilizers[idKey] = new GestureStabilizer();
+    return gestureStabilizers[idKey];
+}
+
+function detectHandedness(landmarks) {
+    // Simple heuristic: in a mirrored view the right hand is on the right (and the other way round)
+    const palm = landmarks.slice(0, 5).reduce((sum, p) => sum + p.x, 0) / 5;
+    return (palm > 0.5) === mediaPipeSettings.selfieMode ? 'right' : 'left';
+}
+
+// ============================================
+// MediaPipe Callback
+// ============================================
+// Replayed frames carry their own timestamp; live frames use the wall clock
+function getFrameTime(results) {
+    return results.frameTime !== undefined ? results.frameTime : performance.now();
+}
+
+// Gives each physical hand a stable id ('left', 'right', then 'hand3'...) across frames.
+// Detections are matched to tracks by palm position, predicted from each track's last movement,
+// so hands crossing or a flipped handedness label don't swap per-hand state. A new track takes
+// the side its label suggests unless another track holds it; after that the track keeps its id,
+// switching only if the label disagrees for a long stretch and the other side is free.
+// A track that isn't seen lives on for a grace period, so brief dropouts keep their state.
+const HAND_TRACK_GRACE_MS = 400;
+const HAND_TRACK_MAX_DISTANCE = 0.25;   // how far (in frame widths) a palm can move between frames
+const HAND_TRACK_RELABEL_FRAMES = 30;
+const HAND_TRACK_PREDICT_MS = 100;      // don't extrapolate movement further than this
+
+function getPalmCenter(landmarks) {
+    const points = [0, 5, 9, 13, 17].map(i => landmarks[i]);
+    return {
+        x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+        y: points.reduce((sum, p) => sum + p.y, 0) / points.length,
+    };
+}
+
+class HandTracker {
+    constructor() {
+        this.tracks = [];   // { hand, x, y, vx, vy, lastSeen, disagreements }
+    }
+
+    reset() {
+        this.tracks = [];
+    }
+
+    getHands() {
+        return this.tracks.map(track => track.hand);
+    }
+
+    // detections: [{ landmarks, label }] with label 'left' | 'right' | null.
+    // Returns the hand id for each detection (same order) and the ids that are gone for good.
+    update(detections, time) {
+        const centers = detections.map(d => getPalmCenter(d.landmarks));
+        const expired = [];
+
+        // closest detection/track pairs first
+        const pairs = [];
+        centers.forEach((center, i) => {
+            for (const track of this.tracks) {
+                const dt = Math.min(time - track.lastSeen, HAND_TRACK_PREDICT_MS) / 1000;
+                const distance = Math.hypot(center.x - (track.x + track.vx * dt), center.y - (track.y + track.vy * dt));
+                if (distance <= HAND_TRACK_MAX_DISTANCE) pairs.push({ i, track, distance });
+            }
+        });
+        pairs.sort((a, b) => a.distance - b.distance);
+        const matches = new Array(detections.length).fill(null);
+        const seen = new Set();
+        for (const { i, track } of pairs) {
+            if (matches[i] || seen.has(track)) continue;
+            matches[i] = track;
+            seen.add(track);
+        }
+
+        detections.forEach((detection, i) => {
+            let track = matches[i];
+            if (!track) {
+                // a hand that reappears somewhere else picks up an unseen track: the one its
+                // label names, or else the nearest
+                const unseen = this.tracks
+                    .filter(t => !seen.has(t))
+                    .sort((a, b) => Math.hypot(a.x - centers[i].x, a.y - centers[i].y)
+                        - Math.hypot(b.x - centers[i].x, b.y - centers[i].y));
+                track = unseen.find(t => t.hand === detection.label) || unseen[0]
+                    || this.createTrack(detection.label);
+                track.x = centers[i].x;
+                track.y = centers[i].y;
+                track.vx = 0;
+                track.vy = 0;
+                track.lastSeen = time;
+                matches[i] = track;
+                seen.add(track);
+            } else {
+                this.moveTrack(track, centers[i], time);
+            }
+            const previous = this.checkLabel(track, detection.label);
+            if (previous) expired.push(previous);
+        });
+
+        this.tracks = this.tracks.filter(track => {
+            if (seen.has(track) || time - track.lastSeen <= HAND_TRACK_GRACE_MS) return true;
+            expired.push(track.hand);
+            return false;
+        });
+        return { hands: matches.map(track => track.hand), expired };
+    }
+
+    createTrack(label) {
+        const taken = new Set(this.getHands());
+        let hand = [label, 'left', 'right'].find(h => h && !taken.has(h));
+        for (let n = 3; !hand; n++) {
+            if (!taken.has(`hand${n}`)) hand = `hand${n}`;
+        }
+        const track = { hand, x: 0, y: 0, vx: 0, vy: 0, lastSeen: 0, disagreements: 0 };
+        this.tracks.push(track);
+        return track;
+    }
+
+    moveTrack(track, center, time) {
+        const dt = (time - track.lastSeen) / 1000;
+        if (dt > 0) {
+            track.vx = track.vx * 0.5 + ((center.x - track.x) / dt) * 0.5;
+            track.vy = track.vy * 0.5 + ((center.y - track.y) / dt) * 0.5;
+        }
+        track.x = center.x;
+        track.y = center.y;
+        track.lastSeen = time;
+    }
+
+    // Follow a label that has disagreed for long enough; returns the id given up, if any
+    checkLabel(track, label) {
+        if (!label || label === track.hand) {
+            track.disagreements = 0;
+            return null;
+        }
+        track.disagreements++;
+        if (track.disagreements < HAND_TRACK_RELABEL_FRAMES || this.getHands().includes(label)) return null;
+        const previous = track.hand;
+        track.hand = label;
+        track.disagreements = 0;
+        return previous;
+    }
+}
+
+const handTracker = new HandTracker();
+
+// A hand that has been gone past its grace period (or changed id) lets go of everything it held
+function forgetHand(hand) {
+    updateHandSustain(hand, null);
+    forgetHandMotion(hand);
+    delete lastPlayedGestureByHand[hand];
+    delete lastGestureTimeByHand[hand];
+    delete gestureStabilizers[hand];
+    delete visualHandAnchors[hand];
+    delete controlLayer.hands[hand];
+    delete pendingComboGestures[hand];
+}
+
+function getHandLabel(results, index) {
+    const handedness = results.multiHandedness && results.multiHandedness[index];
+    if (handedness && handedness.label) return handedness.label.toLowerCase(); // 'left' or 'right'
+    return detectHandedness(results.multiHandLandmarks[index]);
+}
+
+// Forget per-hand gesture history (new camera session, replay start, ...)
+function resetHandState() {
+    handTracker.reset();
+    activeComboId = null;
+    pendingComboGestures = {};
+    visualHandAnchors = {};
+    lastPlayedGestureByHand = {};
+    lastGestureTimeByHand = {};
+    gestureStabilizers = {};
+    for (const hand of Array.from(sustainedHands)) updateHandSustain(hand, null);
+    resetExpression();
+    resetControlLayer();
+    stopTheremin();
+}
+
+function onHandsResults(results) {
+    // Draw video only if ready; otherwise use a semi-transparent overlay to keep screen bright
+    if (video.readyState === video.HAVE_ENOUGH_DATA) {
+        drawVideoFrame();
+    } else {
+        // Keep canvas visible with a subtle overlay instead of clearing to black
+        ctx.fillStyle = 'rgba(102, 126, 234, 0.15)';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+    }
+
+    const now = getFrameTime(results);
+    const detections = (results.multiHandLandmarks || []).map((landmarks, i) => ({
+        landmarks,
+        label: getHandLabel(results, i),
+    }));
+    const tracked = handTracker.update(detections, now);
+    for (const hand of tracked.expired) forgetHand(hand);
+
+    if (detections.length > 0) {
+        // Build a display string for all detected hands
+        const displayParts = [];
+        let thereminHandSeen = false;
+        // Stable gesture per hand this frame; triggering waits until both hands are known
+        const handGestures = {};
+        const stableHands = [];
+        // Raw (unstabilized) gesture per hand, for training mode's timing
+        const detectedGestures = {};
+
+        // Iterate each detected hand
+        for (let i = 0; i < detections.length; i++) {
+            const landmarks = detections[i].landmarks;
+            const idKey = tracked.hands[i];
+            updateEffectMappings(idKey, landmarks);
+            setVisualHandAnchor(idKey, landmarks);
+
+            if (isThereminHand(idKey, i)) {
+                const pitchLabel = updateTheremin(landmarks, idKey);
+                displayParts.push(`${idKey}: 🎻 Theremin ${pitchLabel}`);
+                thereminHandSeen = true;
+                drawHand(landmarks);
+                continue;
+            }
+
+            // A running capture takes the first hand in view and mutes playback
+            if (i === 0 && updateGestureCapture(landmarks, now)) {
+                displayParts.push(`${idKey}: 🎯 Training`);
+                drawHand(landmarks);
+                continue;
+            }
+
+            // Only poses that have held for a few frames count
+            const stabilizer = getGestureStabilizer(idKey);
+            const detected = recognizeGesture(landmarks, stabilizer);
+            const gesture = stabilizer.update(detected);
+            detectedGestures[idKey] = detected;
+            handGestures[idKey] = gesture;
+            stableHands.push({ idKey, landmarks, gesture });
+            updateHandMotion(idKey, landmarks, now);
+
+            updateHandSustain(idKey, gesture);
+
+            if (gesture) {
+                displayParts.push(`${idKey}: ${getGestureDisplayLabel(gesture)}`);
+            } else {
+                displayParts.push(`${idKey}: Unknown`);
+            }
+
+            // Draw landmarks for this hand
+            drawHand(landmarks);
+        }
+
+        updateExpressionBend(Object.keys(handMotion), Tone.now());
+        updateTrainingGame(detectedGestures, now);
+        // while the control layer is armed, poses and combos don't play
+        const controlArmed = updateControlLayer(stableHands, now);
+        if (controlArmed) displayParts.push('🎛 Control');
+
+        // A held combo stands in for both hands' own sounds. The two stabilizers rarely settle on
+        // the same frame, so a pose that could start a combo waits briefly for the other hand
+        // (see shouldWaitForCombo). Hands in their grace period keep their last pose so a
+        // dropout doesn't retrigger the combo.
+        const comboGestures = {};
+        for (const hand of handTracker.getHands()) {
+            comboGestures[hand] = gestureStabilizers[hand] ? gestureStabilizers[hand].gesture : null;
+        }
+        Object.assign(comboGestures, handGestures);
+        const comboHands = controlArmed ? null : getComboHands();
+        const combo = comboHands
+            ? updateHandCombos(comboGestures[comboHands.left], comboGestures[comboHands.right])
+            : updateHandCombos(null, null);
+        if (combo) {
+            displayParts.push(`🤝 ${describeComboBinding(combo.binding)}`);
+            lastPlayedGestureByHand[comboHands.left] = combo.left;
+            lastPlayedGestureByHand[comboHands.right] = combo.right;
+        }
+
+        for (const { idKey, landmarks, gesture } of stableHands) {
+            if (!gesture) {
+                // released for long enough: the same pose can trigger again
+                lastPlayedGestureByHand[idKey] = null;
+                continue;
+            }
+            if (controlArmed) {
+                // counts as played, so the pose doesn't go off once the layer disarms
+                lastPlayedGestureByHand[idKey] = gesture;
+                continue;
+            }
+
+            // Trigger sound if the stable gesture changed for this hand
+            if (gesture !== (lastPlayedGestureByHand[idKey] || null)) {
+                if (shouldWaitForCombo(idKey, gesture, comboHands, now)) continue;
+                // Play the gesture sequence for this hand (simultaneous calls are allowed)
+                triggerGesture(gesture, idKey);
+
+                triggerGestureVisuals(landmarks);
+
+                lastPlayedGestureByHand[idKey] = gesture;
+                lastGestureTimeByHand[idKey] = now;
+            }
+        }
+
+        gestureDisplay.textContent = displayParts.join(' | ');
+        if (!thereminHandSeen) stopTheremin();
+    } else {
+        // per-hand state waits out the grace period (see HandTracker) before it's dropped
+        gestureDisplay.textContent = 'No hand detected';
+        if (handTracker.getHands().length === 0) activeComboId = null;
+        updateExpressionBend(Object.keys(handMotion), Tone.now());
+        stopTheremin();
+        updateGestureCapture(null, now);
+        updateTrainingGame({}, now);
+        updateControlLayer([], now);
+    }
+
+    renderVisuals();
+}
+
+function drawHand(landmarks) {
+    // Draw connections
+    const connections = [
+        [0, 1], [1, 2], [2, 3], [3, 4],
+        [0, 5], [5, 6], [6, 7], [7, 8],
+        [0, 9], [9, 10], [10, 11], [11, 12],
+        [0, 13], [13, 14], [14, 15], [15, 16],
+        [0, 17], [17, 18], [18, 19], [19, 20],
+        [5, 9], [9, 13], [13, 17],
+    ];
+
+    ctx.strokeStyle = '#667eea';
+    ctx.lineWidth = 2;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+
+    for (const [start, end] of connections) {
+        const s = landmarks[start];
+        const e = landmarks[end];
+        ctx.beginPath();
+        ctx.moveTo(s.x * canvas.width, s.y * canvas.height);
+        ctx.lineTo(e.x * canvas.width, e.y * canvas.height);
+        ctx.stroke();
+    }
+
+    // Draw landmarks
+    ctx.fillStyle = '#f093fb';
+    for (const landmark of landmarks) {
+        ctx.beginPath();
+        ctx.arc(
+            landmark.x * canvas.width,
+            landmark.y * canvas.height,
+            5,
+            0,
+            2 * Math.PI
+        );
+        ctx.fill();
+    }
+}
+
+// ============================================
+// Transport & Timing
+// ============================================
+// Everything rhythmic (gesture sequences, looper, metronome) is scheduled on Tone.Transport
+// so both hands and recorded material share one clock.
+const transportSettings = {
+    bpm: 120,
+    beatsPerBar: 4,
+    stepValue: '16n',   // length of one sequence step
+    quantize: 'off',    // 'off' | 'beat' | 'bar': where gesture sequences start
+    metronome: false,
+};
+
+// Extra room so a new event isn't placed on a tick the clock has already processed
+const SCHEDULE_MARGIN = 0.02;
+
+let metronomeVoice = null;
+let metronomeRepeatId = null;
+
+async function ensureTransportRunning() {
+    if (Tone.context.state !== 'running') {
+        await Tone.start();
+    }
+    if (Tone.Transport.state !== 'started') {
+        Tone.Transport.start();
+    }
+}
+
+function getBeatTicks() {
+    return Tone.Transport.PPQ;
+}
+
+function getBarTicks() {
+    return Tone.Transport.PPQ * Tone.Transport.timeSignature;
+}
+
+// Transport tick for an AudioContext time
+function toTransportTicks(time) {
+    return Tone.Transport.getTicksAtTime(time);
+}
+
+// Grid size in ticks for a quantize setting (1 = unquantized)
+function getQuantizeGrid(quantize = transportSettings.quantize) {
+    if (quantize === 'beat') return getBeatTicks();
+    if (quantize === 'bar') return getBarTicks();
+    return 1;
+}
+
+// Round a tick up to the active quantize grid
+function quantizeTicks(ticks, quantize = transportSettings.quantize) {
+    const grid = getQuantizeGrid(quantize);
+    return Math.ceil(ticks / grid) * grid;
+}
+
+// First tick a newly triggered sequence can start on
+function getSequenceStartTicks() {
+    return quantizeTicks(Math.ceil(toTransportTicks(Tone.now() + SCHEDULE_MARGIN)));
+}
+
+function setTempo(bpm) {
+    transportSettings.bpm = Math.max(30, Math.min(300, bpm));
+    Tone.Transport.bpm.value = transportSettings.bpm;
+    renderLooper();
+    shareJamTempo();
+}
+
+function setBeatsPerBar(beats) {
+    transportSettings.beatsPerBar = beats;
+    Tone.Transport.timeSignature = beats;
+    renderLooper();
+    shareJamTempo();
+}
+
+// Runs `callback` once the audio context is running (Tone.start after a user gesture)
+function whenAudioRunning(callback) {
+    if (Tone.context.state === 'running') {
+        callback();
+        return;
+    }
+    const onStateChange = () => {
+        if (Tone.context.state !== 'running') return;
+        Tone.context.off('statechange', onStateChange);
+        callback();
+    };
+    Tone.context.on('statechange', onStateChange);
+}
+
+async function setMetronome(enabled) {
+    transportSettings.metronome = enabled;
+    if (metronomeRepeatId !== null) {
+        Tone.Transport.clear(metronomeRepeatId);
+        metronomeRepeatId = null;
+    }
+    if (!enabled) return;
+
+    await ensureTransportRunning();
+    if (!metronomeVoice) {
+        metronomeVoice = new Tone.Synth({
+            oscillator: { type: 'triangle' },
+            envelope: { attack: 0.001, decay: 0.05, sustain: 0, release: 0.05 },
+            volume: -8,
+        }).toDestination();
+    }
+    metronomeRepeatId = Tone.Transport.scheduleRepeat((time) => {
+        const beat = Math.round(toTransportTicks(time) / getBeatTicks());
+        const isDownbeat = beat % Tone.Transport.timeSignature === 0;
+        metronomeVoice.triggerAttackRelease(isDownbeat ? 'C6' : 'G5', 0.03, time);
+    }, '4n', 0);
+}
+
+function initTransportControls() {
+    const bpmInput = document.getElementById('transportBpm');
+    const beatsSelect = document.getElementById('transportBeats');
+    const stepSelect = document.getElementById('transportStep');
+    const quantizeSelect = document.getElementById('transportQuantize');
+    const metronomeInput = document.getElementById('transportMetronome');
+
+    Tone.Transport.bpm.value = transportSettings.bpm;
+    Tone.Transport.timeSignature = transportSettings.beatsPerBar;
+
+    if (bpmInput) {
+        bpmInput.value = String(transportSettings.bpm);
+        bpmInput.addEventListener('change', () => {
+            setTempo(parseFloat(bpmInput.value) || transportSettings.bpm);
+            bpmInput.value = String(transportSettings.bpm);
+        });
+    }
+    if (beatsSelect) {
+        beatsSelect.value = String(transportSettings.beatsPerBar);
+        beatsSelect.addEventListener('change', () => setBeatsPerBar(parseInt(beatsSelect.value, 10)));
+    }
+    if (stepSelect) {
+        stepSelect.value = transportSettings.stepValue;
+        stepSelect.addEventListener('change', () => {
+            transportSettings.stepValue = stepSelect.value;
+        });
+    }
+    if (quantizeSelect) {
+        quantizeSelect.value = transportSettings.quantize;
+        quantizeSelect.addEventListener('change', () => {
+            transportSettings.quantize = quantizeSelect.value;
+        });
+    }
+    if (metronomeInput) {
+        metronomeInput.checked = transportSettings.metronome;
+        metronomeInput.addEventListener('change', () => setMetronome(metronomeInput.checked));
+    }
+}
+
+function syncTransportControls() {
+    const values = {
+        transportBpm: transportSettings.bpm,
+        transportBeats: transportSettings.beatsPerBar,
+        transportStep: transportSettings.stepValue,
+        transportQuantize: transportSettings.quantize,
+    };
+    for (const [id, value] of Object.entries(values)) {
+        const el = document.getElementById(id);
+        if (el) el.value = String(value);
+    }
+    const metronomeInput = document.getElementById('transportMetronome');
+    if (metronomeInput) metronomeInput.checked = transportSettings.metronome;
+}
+
+initTransportControls();
+
+// ============================================
+// Sequence Generators
+// ============================================
+const SEQUENCE_LENGTH = 8;
+
+// mulberry32: small seedable PRNG returning floats in [0, 1)
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return function () {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// FNV-1a, so any text can be used as a seed
+function hashSeed(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+const sequenceSettings = {
+    seed: '',           // empty = unseeded (Math.random); anything else replays identically
+    chordSize: 3,       // arpeggio chords: 3 = triad, 4 = seventh
+    motif: '0 2 4 2:2 - 4 7:2',
+};
+
+// Shared by every generator so one seed reproduces a whole performance
+let sequenceRandom = Math.random;
+
+function reseedSequenceRandom() {
+    sequenceRandom = sequenceSettings.seed === ''
+        ? Math.random
+        : createRandom(hashSeed(sequenceSettings.seed));
+}
+
+function randomChoice(items) {
+    return items[Math.floor(sequenceRandom() * items.length)];
+}
+
+// Pick a key from { key: weight }
+function weightedChoice(weights) {
+    const entries = Object.entries(weights).filter(([, w]) => w > 0);
+    const total = entries.reduce((sum, [, w]) => sum + w, 0);
+    let r = sequenceRandom() * total;
+    for (const [key, weight] of entries) {
+        r -= weight;
+        if (r < 0) return key;
+    }
+    return entries[entries.length - 1][0];
+}
+
+// Scale degree of a gesture's note: its binding's degree, or the nearest one to a fixed note
+function getGestureDegree(gesture) {
+    const binding = getGestureBinding(gesture);
+    if (binding && Number.isInteger(binding.degree)) return binding.degree;
+
+    const target = noteToMidi(gestureNotes[gesture] || musicScale[0]);
+    const rootMidi = noteToMidi(scaleDegreeToNote(0));
+    const degreesPerOctave = resolveScale().intervals.length;
+    let best = 0;
+    let bestDistance = Infinity;
+    const guess = Math.round((target - rootMidi) / 12 * degreesPerOctave);
+    for (let degree = guess - degreesPerOctave; degree <= guess + degreesPerOctave; degree++) {
+        const distance = Math.abs(noteToMidi(scaleDegreeToNote(degree)) - target);
+        if (distance < bestDistance) {
+            best = degree;
+            bestDistance = distance;
+        }
+    }
+    return best;
+}
+
+// Chord tones (stacked scale thirds) on a degree, over two octaves
+function getArpeggioNotes(degree) {
+    const degreesPerOctave = resolveScale().intervals.length;
+    const tones = [];
+    for (let octave = 0; octave < 2; octave++) {
+        for (let i = 0; i < sequenceSettings.chordSize; i++) {
+            tones.push(scaleDegreeToNote(degree + i * 2 + octave * degreesPerOctave));
+        }
+    }
+    return tones;
+}
+
+function arpeggiate(tones, direction, count) {
+    const notes = [];
+    if (direction === 'random') {
+        for (let i = 0; i < count; i++) notes.push(randomChoice(tones));
+        return notes;
+    }
+    let cycle = tones;
+    if (direction === 'down') cycle = tones.slice().reverse();
+    if (direction === 'updown') cycle = tones.concat(tones.slice(1, -1).reverse());
+    for (let i = 0; i < count; i++) notes.push(cycle[i % cycle.length]);
+    return notes;
+}
+
+// Stepwise-weighted random walk over scale degrees, kept inside the scale pool
+function markovMelody(startDegree, count) {
+    const topDegree = Math.max(startDegree, musicScale.length - 1);
+    const bottomDegree = Math.min(0, startDegree);
+    const stepWeights = { '0': 1, '1': 6, '-1': 6, '2': 3, '-2': 3, '3': 1.5, '-3': 1.5, '4': 1, '-4': 1 };
+
+    const notes = [scaleDegreeToNote(startDegree)];
+    let degree = startDegree;
+    for (let i = 1; i < count; i++) {
+        const allowed = {};
+        for (const [step, weight] of Object.entries(stepWeights)) {
+            const next = degree + Number(step);
+            if (next >= bottomDegree && next <= topDegree) allowed[step] = weight;
+        }
+        degree += Number(weightedChoice(allowed));
+        notes.push(scaleDegreeToNote(degree));
+    }
+    return notes;
+}
+
+// Motif text: scale-degree offsets from the gesture note ("0 2 4"), note names ("Eb4"),
+// "-" for a rest, and an optional ":length" in steps ("4:2").
+function parseMotif(text, startDegree) {
+    const steps = [];
+    for (const token of text.trim().split(/\s+/)) {
+        if (!token) continue;
+        const [value, lengthText] = token.split(':');
+        const duration = lengthText ? Math.max(0.25, parseFloat(lengthText) || 1) : 1;
+        if (value === '-' || value.toLowerCase() === 'r') {
+            steps.push({ note: null, duration });
+        } else if (/^-?\d+$/.test(value)) {
+            steps.push({ note: scaleDegreeToNote(startDegree + parseInt(value, 10)), duration });
+        } else if (noteToMidi(value) !== null) {
+            steps.push({ note: value, duration });
+        }
+    }
+    return steps;
+}
+
+// Rhythm steps in units of the sequence step length; rests are marked
+const rhythmPatterns = {
+    'straight': { name: 'Straight', steps: [{ length: 1 }] },
+    'swing': { name: 'Swing', steps: [{ length: 1.5 }, { length: 0.5 }] },
+    'gallop': { name: 'Gallop', steps: [{ length: 1 }, { length: 0.5 }, { length: 0.5 }] },
+    'syncopated': { name: 'Syncopated', steps: [{ length: 1 }, { length: 0.5 }, { length: 0.5, rest: true }, { length: 1 }, { length: 1 }] },
+    'sparse': { name: 'Sparse', steps: [{ length: 1 }, { length: 1, rest: true }, { length: 0.5 }, { length: 0.5 }, { length: 1, rest: true }] },
+};
+
+// Each generator returns `count` pitches for the gesture, except motif which brings its own rhythm
+const sequenceGenerators = {
+    'random': {
+        name: 'Random',
+        pitches: (gesture, count) => getRandomNoteSequence(gestureNotes[gesture], count),
+    },
+    'arp_up': {
+        name: 'Arpeggio ↑',
+        pitches: (gesture, count) => arpeggiate(getArpeggioNotes(getGestureDegree(gesture)), 'up', count),
+    },
+    'arp_down': {
+        name: 'Arpeggio ↓',
+        pitches: (gesture, count) => arpeggiate(getArpeggioNotes(getGestureDegree(gesture)), 'down', count),
+    },
+    'arp_updown': {
+        name: 'Arpeggio ↑↓',
+        pitches: (gesture, count) => arpeggiate(getArpeggioNotes(getGestureDegree(gesture)), 'updown', count),
+    },
+    'arp_random': {
+        name: 'Arpeggio (random)',
+        pitches: (gesture, count) => arpeggiate(getArpeggioNotes(getGestureDegree(gesture)), 'random', count),
+    },
+    'markov': {
+        name: 'Markov melody',
+        pitches: (gesture, count) => markovMelody(getGestureDegree(gesture), count),
+    },
+    'motif': {
+        name: 'Motif',
+        steps: (gesture) => parseMotif(sequenceSettings.motif, getGestureDegree(gesture)),
+    },
+};
+
+// Generator/rhythm per gesture; `default` covers custom gestures and anything unset
+const gesturePatterns = {
+    'default': { generator: 'random', rhythm: 'straight' },
+};
+
+function getGesturePattern(gesture) {
+    return gesturePatterns[gesture] || gesturePatterns.default;
+}
+
+// Build the step list ({ note | null, duration }) a gesture should play
+function generateGestureSequence(gesture, length = SEQUENCE_LENGTH) {
+    const pattern = getGesturePattern(gesture);
+    const generator = sequenceGenerators[pattern.generator] || sequenceGenerators.random;
+
+    if (generator.steps) {
+        const steps = generator.steps(gesture);
+        if (steps.length > 0) return steps;
+    }
+
+    const rhythm = (rhythmPatterns[pattern.rhythm] || rhythmPatterns.straight).steps;
+    const slots = Array.from({ length }, (_, i) => rhythm[i % rhythm.length]);
+    const pitchCount = slots.filter(slot => !slot.rest).length;
+    const pitches = (generator.pitches || sequenceGenerators.random.pitches)(gesture, pitchCount);
+
+    let next = 0;
+    return slots.map(slot => ({
+        note: slot.rest ? null : pitches[next++],
+        duration: slot.length,
+    }));
+}
+
+function renderSequencePatterns() {
+    const table = document.getElementById('sequencePatternRows');
+    if (!table) return;
+    table.innerHTML = '';
+
+    const rows = GESTURE_ORDER.map(id => [id, `${gestureInfo[id].emoji} ${gestureInfo[id].name}`]);
+    rows.push(['default', '🖐️ Custom / other']);
+
+    for (const [id, label] of rows) {
+        const row = document.createElement('div');
+        row.className = 'pattern-row';
+        const name = document.createElement('span');
+        name.textContent = label;
+
+        const generatorSelect = document.createElement('select');
+        for (const [key, generator] of Object.entries(sequenceGenerators)) {
+            generatorSelect.add(new Option(generator.name, key));
+        }
+        const rhythmSelect = document.createElement('select');
+        for (const [key, rhythm] of Object.entries(rhythmPatterns)) {
+            rhythmSelect.add(new Option(rhythm.name, key));
+        }
+
+        const pattern = getGesturePattern(id);
+        generatorSelect.value = pattern.generator;
+        rhythmSelect.value = pattern.rhythm;
+        rhythmSelect.disabled = pattern.generator === 'motif';
+
+        const update = () => {
+            gesturePatterns[id] = { generator: generatorSelect.value, rhythm: rhythmSelect.value };
+            rhythmSelect.disabled = generatorSelect.value === 'motif';
+        };
+        generatorSelect.addEventListener('change', update);
+        rhythmSelect.addEventListener('change', update);
+
+        row.append(name, generatorSelect, rhythmSelect);
+        table.appendChild(row);
+    }
+}
+
+function initSequenceControls() {
+    const chordSelect = document.getElementById('sequenceChordSize');
+    const motifInput = document.getElementById('sequenceMotif');
+    const seedInput = document.getElementById('sequenceSeed');
+    const reseedBtn = document.getElementById('sequenceReseedBtn');
+
+    if (chordSelect) {
+        chordSelect.value = String(sequenceSettings.chordSize);
+        chordSelect.addEventListener('change', () => {
+            sequenceSettings.chordSize = parseInt(chordSelect.value, 10);
+        });
+    }
+    if (motifInput) {
+        motifInput.value = sequenceSettings.motif;
+        motifInput.addEventListener('change', () => {
+            sequenceSettings.motif = motifInput.value;
+        });
+    }
+    if (seedInput) {
+        seedInput.value = sequenceSettings.seed;
+        seedInput.addEventListener('change', () => {
+            sequenceSettings.seed = seedInput.value.trim();
+            reseedSequenceRandom();
+        });
+    }
+    // restart the seeded stream so the next performance repeats the last one note for note
+    if (reseedBtn) reseedBtn.addEventListener('click', reseedSequenceRandom);
+    renderSequencePatterns();
+}
+
+function syncSequenceControls() {
+    const values = {
+        sequenceChordSize: sequenceSettings.chordSize,
+        sequenceMotif: sequenceSettings.motif,
+        sequenceSeed: sequenceSettings.seed,
+    };
+    for (const [id, value] of Object.entries(values)) {
+        const el = document.getElementById(id);
+        if (el) el.value = String(value);
+    }
+    renderSequencePatterns();
+}
+
+initSequenceControls();
+
+// ============================================
+// Instruments (per-hand voices)
+// ============================================
+// Each hand plays through its own instrument. 'synth' is the oscillator PolySynth behind A/S/D/F;
+// the others are created on first use and feed the same effects rack.
+const INSTRUMENTS = {
+    'synth': { name: '🎹 Synth', kind: 'melodic' },
+    'fm': {
+        name: '🔔 FM Synth',
+        kind: 'melodic',
+        create: () => new Tone.PolySynth({
+            voice: Tone.FMSynth,
+            maxPolyphony: MAX_POLYPHONY,
+            voiceOptions: { harmonicity: 3, modulationIndex: 10 },
+        }),
+    },
+    'am': {
+        name: '📻 AM Synth',
+        kind: 'melodic',
+        create: () => new Tone.PolySynth({
+            voice: Tone.AMSynth,
+            maxPolyphony: MAX_POLYPHONY,
+            voiceOptions: { harmonicity: 2 },
+        }),
+    },
+    'sampler': { name: '🎻 Sampler', kind: 'melodic' },
+    'drums': { name: '🥁 Drum kit', kind: 'drums' },
+};
+
+const instrumentSettings = {
+    left: 'synth',
+    right: 'synth',
+};
+
+// Instruments for hands played by someone else (jam session participants, "jam:<id>")
+const remoteHandInstruments = {};
+
+const instrumentVoices = {};
+
+// Drum sounds use their General MIDI key so they export/send as a standard kit
+const DRUM_SOUNDS = {
+    'kick': {
+        name: 'Kick', midi: 36,
+        create: () => new Tone.MembraneSynth({ pitchDecay: 0.05, octaves: 6 }),
+        play: (voice, time, velocity) => voice.triggerAttackRelease('C1', '8n', time, velocity),
+    },
+    'snare': {
+        name: 'Snare', midi: 38,
+        create: () => new Tone.NoiseSynth({ noise: { type: 'white' }, envelope: { attack: 0.001, decay: 0.2, sustain: 0 } }),
+        play: (voice, time, velocity) => voice.triggerAttackRelease('16n', time, velocity),
+    },
+    'clap': {
+        name: 'Clap', midi: 39,
+        create: () => new Tone.NoiseSynth({ noise: { type: 'pink' }, envelope: { attack: 0.005, decay: 0.12, sustain: 0 } }),
+        play: (voice, time, velocity) => voice.triggerAttackRelease('32n', time, velocity),
+    },
+    'closed_hat': {
+        name: 'Closed hat', midi: 42,
+        create: () => new Tone.MetalSynth({ envelope: { attack: 0.001, decay: 0.05, release: 0.01 }, harmonicity: 5.1, resonance: 4000 }),
+        play: (voice, time, velocity) => voice.triggerAttackRelease(300, '32n', time, velocity * 0.3),
+    },
+    'open_hat': {
+        name: 'Open hat', midi: 46,
+        create: () => new Tone.MetalSynth({ envelope: { attack: 0.001, decay: 0.4, release: 0.2 }, harmonicity: 5.1, resonance: 4000 }),
+        play: (voice, time, velocity) => voice.triggerAttackRelease(300, '8n', time, velocity * 0.3),
+    },
+    'low_tom': {
+        name: 'Low tom', midi: 45,
+        create: () => new Tone.MembraneSynth({ pitchDecay: 0.08, octaves: 3 }),
+        play: (voice, time, velocity) => voice.triggerAttackRelease('G1', '8n', time, velocity),
+    },
+    'high_tom': {
+        name: 'High tom', midi: 50,
+        create: () => new Tone.MembraneSynth({ pitchDecay: 0.08, octaves: 3 }),
+        play: (voice, time, velocity) => voice.triggerAttackRelease('D2', '8n', time, velocity),
+    },
+    'rim': {
+        name: 'Rimshot', midi: 37,
+        create: () => new Tone.MetalSynth({ envelope: { attack: 0.001, decay: 0.03, release: 0.01 }, harmonicity: 3, resonance: 6000 }),
+        play: (voice, time, velocity) => voice.triggerAttackRelease(800, '64n', time, velocity * 0.4),
+    },
+};
+
+// gesture id -> drum sound; 'default' covers custom gestures
+const drumGestureMap = {
+    'peace': 'snare',
+    'point': 'closed_hat',
+    'thumbs_up': 'kick',
+    'rock': 'open_hat',
+    'ok': 'rim',
+    'thumbs_down': 'low_tom',
+    'point_camera': 'high_tom',
+    'palm': 'clap',
+    'default': 'kick',
+};
+
+const drumVoices = {};
+
+let samplerVoice = null;
+let samplerStatus = 'No samples loaded';
+
+function getHandInstrument(hand) {
+    return instrumentSettings[hand] || remoteHandInstruments[hand] || instrumentSettings.right;
+}
+
+// Voice for a melodic instrument; null while the sampler has nothing loaded
+function getInstrumentVoice(id) {
+    if (id === 'synth') return polySynth;
+    if (id === 'sampler') return samplerVoice && samplerVoice.loaded ? samplerVoice : null;
+    const instrument = INSTRUMENTS[id];
+    if (!instrument || !instrument.create) return null;
+    if (!instrumentVoices[id]) {
+        instrumentVoices[id] = instrument.create().connect(getEffectsInput());
+    }
+    return instrumentVoices[id];
+}
+
+// Falls back to the oscillator synth so a hand is never silent
+function getSharedHandVoice(hand) {
+    return getInstrumentVoice(getHandInstrument(hand)) || polySynth;
+}
+
+// Camera hands play a synth of their own (through their own vibrato), so one hand's bend and
+// vibrato don't reach the other hand, the keyboard, imports or jam participants
+const HAND_VOICE_INSTRUMENTS = ['synth', 'fm', 'am'];
+const handVoices = {};   // hand -> instrument -> { voice, vibrato }
+
+function hasOwnVoice(hand) {
+    return !!hand && !hand.startsWith('jam:') && HAND_VOICE_INSTRUMENTS.includes(getHandInstrument(hand));
+}
+
+function createHandSynth() {
+    return new Tone.PolySynth({
+        voice: Tone.Synth,
+        maxPolyphony: MAX_POLYPHONY,
+        voiceOptions: getVoiceOptions(currentOscillatorType),
+    });
+}
+
+function createHandVoice(instrument) {
+    const voice = instrument === 'synth' ? createHandSynth() : INSTRUMENTS[instrument].create();
+    const vibrato = new Tone.Vibrato({ frequency: VIBRATO_RATE, depth: 0 });
+    voice.chain(vibrato, getEffectsInput());
+    return { voice, vibrato };
+}
+
+// The hand's own voice entry, or null when it plays a shared one (drums, sampler, remote hands)
+function getOwnHandVoice(hand) {
+    if (!hasOwnVoice(hand)) return null;
+    const instrument = getHandInstrument(hand);
+    if (!handVoices[hand]) handVoices[hand] = {};
+    if (!handVoices[hand][instrument]) handVoices[hand][instrument] = createHandVoice(instrument);
+    return handVoices[hand][instrument];
+}
+
+function getHandVoice(hand) {
+    const own = getOwnHandVoice(hand);
+    return own ? own.voice : getSharedHandVoice(hand);
+}
+
+// The per-hand oscillator synths, for envelope and oscillator changes
+function getHandSynthEntries() {
+    return Object.values(handVoices).map(voices => voices.synth).filter(Boolean);
+}
+
+// Rebuild the per-hand synths on the current oscillator type (keeping their bend); returns
+// old voice -> new voice
+function replaceHandSynths() {
+    const replaced = new Map();
+    for (const entry of getHandSynthEntries()) {
+        const old = entry.voice;
+        entry.voice = createHandSynth().connect(entry.vibrato);
+        const detune = bentVoices.get(old);
+        bentVoices.delete(old);
+        if (detune) {
+            entry.voice.set({ detune });
+            bentVoices.set(entry.voice, detune);
+        }
+        try {
+            old.dispose();
+        } catch (err) {
+            console.warn('Error disposing hand synth:', err);
+        }
+        replaced.set(old, entry.voice);
+    }
+    return replaced;
+}
+
+function getDrumVoice(id) {
+    if (!drumVoices[id]) {
+        drumVoices[id] = DRUM_SOUNDS[id].create().connect(getEffectsInput());
+    }
+    return drumVoices[id];
+}
+
+function getDrumForGesture(gesture) {
+    return drumGestureMap[gesture] || drumGestureMap.default;
+}
+
+function drumFromNote(note) {
+    const midi = noteToMidi(note);
+    return Object.keys(DRUM_SOUNDS).find(id => DRUM_SOUNDS[id].midi === midi) || null;
+}
+
+function playDrumSound(id, time, velocity = 1) {
+    try {
+        DRUM_SOUNDS[id].play(getDrumVoice(id), time, velocity);
+    } catch (err) {
+        console.warn('Drum playback error:', err);
+    }
+}
+
+// One hit per gesture, placed on the next quantize point so the drum hand stays on the beat
+async function playDrumGesture(gesture, hand) {
+    return playDrumHit(getDrumForGesture(gesture), hand);
+}
+
+async function playDrumHit(id, hand) {
+    const velocity = getHandVelocity(hand);
+    try {
+        await ensureTransportRunning();
+        const note = midiToNote(DRUM_SOUNDS[id].midi);
+        Tone.Transport.scheduleOnce((time) => {
+            playDrumSound(id, time, velocity);
+            emitPerformanceEvent({ type: 'noteon', note, hand, velocity, instrument: 'drums', time });
+            emitPerformanceEvent({ type: 'noteoff', note, hand, instrument: 'drums', time: time + 0.1 });
+        }, `${getSequenceStartTicks()}i`);
+    } catch (error) {
+        console.error('Error playing drum:', error);
+    }
+}
+
+// Sample files are named after their root note (e.g. "C4.wav", "F#3.mp3"); Tone.Sampler repitches between them
+function parseSampleNote(filename) {
+    const match = /^([A-G])([#b]?)(-?\d)/i.exec(filename);
+    if (!match) return null;
+    return `${match[1].toUpperCase()}${match[2]}${match[3]}`;
+}
+
+function loadSamplerFiles(files) {
+    const urls = {};
+    for (const file of files) {
+        const note = parseSampleNote(file.name);
+        if (note) {
+            urls[note] = URL.createObjectURL(file);
+        } else {
+            console.warn('Skipping sample with no note in its name:', file.name);
+        }
+    }
+    if (Object.keys(urls).length === 0) {
+        samplerStatus = 'No usable samples (name files like C4.wav)';
+        renderInstrumentStatus();
+        return;
+    }
+
+    if (samplerVoice) {
+        try { samplerVoice.dispose(); } catch (e) { }
+    }
+    samplerStatus = 'Loading samples…';
+    renderInstrumentStatus();
+    samplerVoice = new Tone.Sampler({
+        urls,
+        onload: () => {
+            samplerStatus = `${Object.keys(urls).length} samples: ${Object.keys(urls).join(' ')}`;
+            renderInstrumentStatus();
+        },
+        onerror: (err) => {
+            console.error('Error loading samples:', err);
+            samplerStatus = 'Failed to load samples';
+            renderInstrumentStatus();
+        },
+    }).connect(getEffectsInput());
+}
+
+function setHandInstrument(hand, id) {
+    if (!INSTRUMENTS[id]) return;
+    instrumentSettings[hand] = id;
+    renderInstrumentStatus();
+}
+
+function renderInstrumentStatus() {
+    const status = document.getElementById('instrumentStatus');
+    if (!status) return;
+    const usesSampler = Object.values(instrumentSettings).includes('sampler');
+    const missing = usesSampler && !(samplerVoice && samplerVoice.loaded) ? ' — using Synth until samples load' : '';
+    status.textContent = `Sampler: ${samplerStatus}${missing}`;
+}
+
+function renderDrumMap() {
+    const table = document.getElementById('drumMapRows');
+    if (!table) return;
+    table.innerHTML = '';
+
+    const rows = GESTURE_ORDER.map(id => [id, `${gestureInfo[id].emoji} ${gestureInfo[id].name}`]);
+    rows.push(['default', '🖐️ Custom / other']);
+
+    for (const [id, label] of rows) {
+        const row = document.createElement('div');
+        row.className = 'pattern-row';
+        const name = document.createElement('span');
+        name.textContent = label;
+
+        const drumSelect = document.createElement('select');
+        for (const [key, drum] of Object.entries(DRUM_SOUNDS)) {
+            drumSelect.add(new Option(drum.name, key));
+        }
+        drumSelect.value = getDrumForGesture(id);
+        drumSelect.addEventListener('change', () => {
+            drumGestureMap[id] = drumSelect.value;
+        });
+
+        row.append(name, drumSelect);
+        table.appendChild(row);
+    }
+}
+
+function initInstrumentControls() {
+    const samplerBtn = document.getElementById('samplerLoadBtn');
+    const samplerInput = document.getElementById('samplerInput');
+
+    for (const hand of ['left', 'right']) {
+        const select = document.getElementById(hand === 'left' ? 'instrumentLeft' : 'instrumentRight');
+        if (!select) continue;
+        for (const [id, instrument] of Object.entries(INSTRUMENTS)) {
+            select.add(new Option(instrument.name, id));
+        }
+        select.value = instrumentSettings[hand];
+        select.addEventListener('change', () => setHandInstrument(hand, select.value));
+    }
+    if (samplerBtn && samplerInput) {
+        samplerBtn.addEventListener('click', () => samplerInput.click());
+        samplerInput.addEventListener('change', () => {
+            if (samplerInput.files.length > 0) loadSamplerFiles(Array.from(samplerInput.files));
+            samplerInput.value = '';
+        });
+    }
+    renderDrumMap();
+    renderInstrumentStatus();
+}
+
+function syncInstrumentControls() {
+    const left = document.getElementById('instrumentLeft');
+    const right = document.getElementById('instrumentRight');
+    if (left) left.value = instrumentSettings.left;
+    if (right) right.value = instrumentSettings.right;
+    renderDrumMap();
+    renderInstrumentStatus();
+}
+
+initInstrumentControls();
+
+// ============================================
+// Sound Playback
+// ============================================
+function getRandomNoteSequence(baseNote, length = 8) {
+    // Start with the base note, then randomize remaining notes from scale
+    const sequence = [baseNote];
+    for (let i = 1; i < length; i++) {
+        const randomNote = musicScale[Math.floor(sequenceRandom() * musicScale.length)];
+        sequence.push(randomNote);
+    }
+    return sequence;
+}
+
+// `notes` holds note names or steps ({ note, duration }), where duration is in multiples
+// of `step` (a Tone.js time such as '16n') and a null note is a rest.
+// Steps are scheduled on Tone.Transport, starting on the next quantize point.
+async function playNoteSequence(notes, step = transportSettings.stepValue, hand = null, gesture = null) {
+    try {
+        // Ensure audio context and transport are running
+        await ensureTransportRunning();
+
+        const stepTicks = Tone.Time(step).toTicks() * getHandStepScale(hand);
+        const velocity = getHandVelocity(hand);
+        let ticks = getSequenceStartTicks();
+        for (const s of notes) {
+            const note = typeof s === 'string' ? s : s.note;
+            const lengthTicks = Math.max(1, Math.round(stepTicks * (typeof s === 'string' ? 1 : (s.duration || 1))));
+            if (note) {
+                Tone.Transport.scheduleOnce((time) => playSequenceNote(note, lengthTicks, time, hand, gesture, velocity), `${ticks}i`);
+            }
+            ticks += lengthTicks;
+        }
+    } catch (error) {
+        console.error('Error playing sequence:', error);
+    }
+}
+
+// Sustain is decided when the note actually sounds, so pressing Space (or making the sustain pose)
+// mid-sequence holds the rest. `gesture` is the gesture that started the note, used for latching.
+function playSequenceNote(note, lengthTicks, time, hand, gesture = null, velocity = 1) {
+    const voice = getHandVoice(hand);
+    const instrument = voice === polySynth ? 'synth' : getHandInstrument(hand);
+    const latched = gesture !== null && latchedHands.has(hand);
+    if (latched || isSustainOn(hand)) {
+        // If we're already at max polyphony, skip adding more sustained notes
+        if (getHeldNotes().length >= MAX_POLYPHONY) {
+            console.warn('Max polyphony reached, skipping sustain for', note);
+            return;
+        }
+        // hold the played note until its sustain ends or its latch gesture repeats
+        try {
+            voice.triggerAttack(note, time, velocity);
+            holdNote(hand, note, voice, latched ? gesture : null);
+            emitPerformanceEvent({ type: 'noteon', note, hand, velocity, instrument, time });
+        } catch (err) {
+            console.warn('triggerAttack error:', err);
+        }
+    } else {
+        // schedule attack+release explicitly
+        try {
+            const length = Tone.Ticks(lengthTicks).toSeconds();
+            voice.triggerAttackRelease(note, length, time, velocity);
+            emitPerformanceEvent({ type: 'noteon', note, hand, velocity, instrument, time });
+            emitPerformanceEvent({ type: 'noteoff', note, hand, instrument, time: time + length });
+        } catch (err) {
+            console.warn('triggerAttackRelease error:', err);
+        }
+    }
+}
+
+// Plays a gesture's pattern, note, chord or sample binding (actions and controls are run by
+// triggerGesture)
+async function playGestureSound(gesture, hand = null) {
+    const binding = getGestureBinding(gesture);
+    if (!binding) return;
+    try {
+        // Ensure audio context is started
+        if (Tone.context.state !== 'running') {
+            await Tone.start();
+        }
+        
+        console.log('Gesture detected:', gesture);
+
+        if (binding.type === 'sample') {
+            playDrumHit(binding.sample, hand);
+            sendJamPlay({ kind: 'drum', drum: binding.sample }, hand);
+            return;
+        }
+
+        if (INSTRUMENTS[getHandInstrument(hand)].kind === 'drums') {
+            const drum = getDrumForGesture(gesture);
+            playDrumHit(drum, hand);
+            sendJamPlay({ kind: 'drum', drum }, hand);
+            return;
+        }
+
+        if (binding.type === 'note') {
+            // a single note is played like a one-note chord: same length, same timing
+            const note = getBindingNote(binding);
+            playChord([note], hand, gesture);
+            sendJamPlay({ kind: 'chord', notes: [note] }, hand);
+            return;
+        }
+
+        if (binding.type === 'chord' || chordSettings.enabled) {
+            const degree = getGestureDegree(gesture);
+            const chord = getChordNotes(degree);
+            console.log(`Playing chord ${getChordName(degree)}:`, chord.join(' '));
+            playChord(chord, hand, gesture);
+            sendJamPlay({ kind: 'chord', notes: chord }, hand);
+            return;
+        }
+        
+        // Generate and play the gesture's 8-step pattern
+        const sequence = generateGestureSequence(gesture);
+        console.log('Playing sequence:', sequence.map(step => step.note || '-').join(' '));
+        
+        // Play sequence asynchronously so UI doesn't freeze
+        playNoteSequence(sequence, transportSettings.stepValue, hand, gesture);
+        sendJamPlay({ kind: 'sequence', steps: sequence, step: transportSettings.stepValue }, hand);
+    } catch (error) {
+        console.error('Error playing sound:', error);
+    }
+}
+
+// ============================================
+// Hands-Free Controls (sustain, latch, drone)
+// ============================================
+// Poses can be bound to performance controls instead of sounds (a 'control' binding in
+// gestureMappings, one gesture per control):
+// - sustain: while a hand holds the pose, that hand's notes sustain (like Space, but per hand)
+// - latch: toggles latch mode for that hand; a latched gesture's notes hold until the same
+//   gesture is made again
+// - drone: toggles a drone on the root of the current key
+// - arm: arms the gesture control layer (swipes, pinch, frame; see Gesture Control Layer)
+// Each control has a gesture picker with the id '<control>Gesture'.
+const performanceControlSettings = {
+    drone: false,
+};
+
+let droneVoice = null;
+let droneNote = null;
+
+function getControlForGesture(gesture) {
+    const binding = gesture ? getGestureBinding(gesture) : null;
+    return binding && binding.type === 'control' ? binding.control : null;
+}
+
+function getControlGesture(control) {
+    return getMappableGestures().find(gesture => getControlForGesture(gesture) === control) || null;
+}
+
+function getGestureDisplayLabel(gesture) {
+    return gestureLabels[gesture] || getGestureName(gesture);
+}
+
+// Called every frame with each hand's stable gesture: holding the sustain pose sustains that hand
+function updateHandSustain(hand, gesture) {
+    const holding = !!gesture && getControlForGesture(gesture) === 'sustain';
+    if (holding) {
+        sustainedHands.add(hand);
+    } else if (sustainedHands.has(hand)) {
+        sustainedHands.delete(hand);
+        releaseUnsustainedNotes();
+    }
+}
+
+function setHandLatch(hand, enabled) {
+    if (enabled) {
+        latchedHands.add(hand);
+    } else {
+        latchedHands.delete(hand);
+        releaseHeldNotes(hand, entry => entry.gesture !== null);
+    }
+    renderPerformanceControlStatus();
+}
+
+// Runs before a gesture plays. Returns true when the gesture was used as a control.
+function handleControlGesture(gesture, hand) {
+    const control = getControlForGesture(gesture);
+    if (control === 'sustain') return true;
+    if (control === 'latch') {
+        setHandLatch(hand, !latchedHands.has(hand));
+        return true;
+    }
+    if (control === 'drone') {
+        setDrone(!performanceControlSettings.drone);
+        return true;
+    }
+    // holding the pose keeps the layer armed (see updateControlLayer)
+    if (control === 'arm') return true;
+
+    // a latched gesture made again lets go of its notes instead of playing
+    const held = heldNotesByHand.get(hand);
+    if (latchedHands.has(hand) && held && held.some(entry => entry.gesture === gesture)) {
+        releaseHeldNotes(hand, entry => entry.gesture === gesture);
+        return true;
+    }
+    return false;
+}
+
+// Root of the key, an octave under the scale's base octave
+function getDroneNote() {
+    const root = noteToMidi(scaleDegreeToNote(0));
+    return midiToNote(root - 12, resolveScale().useFlats);
+}
+
+function startDrone() {
+    if (!droneVoice) {
+        droneVoice = new Tone.Synth({
+            oscillator: { type: 'fatsawtooth', count: 3, spread: 20 },
+            envelope: { attack: 1.5, decay: 0.5, sustain: 0.8, release: 2 },
+            volume: -16,
+        }).connect(getEffectsInput());
+    }
+    const note = getDroneNote();
+    if (note === droneNote) return;
+    const time = Tone.now();
+    if (droneNote) {
+        emitPerformanceEvent({ type: 'noteoff', note: droneNote, hand: 'drone', time });
+        // glide to the new root instead of retriggering the slow attack
+        droneVoice.setNote(note, time);
+    } else {
+        droneVoice.triggerAttack(note, time);
+    }
+    droneNote = note;
+    emitPerformanceEvent({ type: 'noteon', note, hand: 'drone', velocity: 0.6, time });
+}
+
+function stopDrone() {
+    if (!droneVoice || !droneNote) return;
+    const time = Tone.now();
+    droneVoice.triggerRelease(time);
+    emitPerformanceEvent({ type: 'noteoff', note: droneNote, hand: 'drone', time });
+    droneNote = null;
+}
+
+async function setDrone(enabled) {
+    performanceControlSettings.drone = enabled;
+    if (enabled) {
+        if (Tone.context.state !== 'running') await Tone.start();
+        // toggled off again while the audio context was starting
+        if (!performanceControlSettings.drone) return;
+        startDrone();
+    } else {
+        stopDrone();
+    }
+    renderPerformanceControlStatus();
+}
+
+function renderPerformanceControlStatus() {
+    const droneInput = document.getElementById('droneEnabled');
+    if (droneInput) droneInput.checked = performanceControlSettings.drone;
+    const status = document.getElementById('performanceControlStatus');
+    if (!status) return;
+    const parts = [];
+    if (latchedHands.size > 0) parts.push(`Latch: ${Array.from(latchedHands).join(', ')}`);
+    if (performanceControlSettings.drone && droneNote) parts.push(`Drone: ${formatNoteLabel(droneNote)}`);
+    status.textContent = parts.join(' · ') || 'Latch off, drone off';
+}
+
+// Gesture pickers list every mappable gesture, so they're refilled as custom gestures come and go
+function syncPerformanceControls() {
+    for (const control of Object.keys(GESTURE_CONTROLS)) {
+        const select = document.getElementById(`${control}Gesture`);
+        if (!select) continue;
+        select.innerHTML = '';
+        select.add(new Option('— None —', ''));
+        for (const gesture of getMappableGestures()) {
+            select.add(new Option(getGestureName(gesture), gesture));
+        }
+        select.value = getControlGesture(control) || '';
+    }
+    renderPerformanceControlStatus();
+}
+
+function initPerformanceControls() {
+    const droneInput = document.getElementById('droneEnabled');
+    for (const control of Object.keys(GESTURE_CONTROLS)) {
+        const select = document.getElementById(`${control}Gesture`);
+        if (select) select.addEventListener('change', () => setControlGesture(control, select.value || null));
+    }
+    if (droneInput) droneInput.addEventListener('change', () => setDrone(droneInput.checked));
+    syncPerformanceControls();
+}
+
+// the drone follows key changes
+onScaleChange(() => {
+    if (performanceControlSettings.drone && droneNote) startDrone();
+    renderPerformanceControlStatus();
+});
+
+onGestureMappingChange(syncPerformanceControls);
+
+initPerformanceControls();
+
+// ============================================
+// Expression (velocity, bend and rate from hand motion)
+// ============================================
+// Each hand's motion is measured every frame: wrist speed, palm roll and size in the frame
+// (how close it is to the camera). Each expression target follows one of them:
+// - velocity: how hard a gesture's notes (or drum hit) are played; fixed when the gesture triggers
+// - bend: pitch bend of the hand's voice while the hand is in view
+// - vibrato: vibrato depth on the hand's voice while the hand is in view
+// - rate: the gesture sequence plays at half, normal or double speed; fixed when it triggers
+const EXPRESSION_SOURCES = {
+    'speed': 'Wrist speed',
+    'roll': 'Palm roll',
+    'size': 'Closeness to camera',
+};
+
+// target -> the select that picks its source
+const EXPRESSION_TARGETS = {
+    'velocity': 'expressionVelocity',
+    'bend': 'expressionBend',
+    'vibrato': 'expressionVibrato',
+    'rate': 'expressionRate',
+};
+
+const expressionSettings = {
+    velocity: 'speed',
+    bend: 'roll',
+    vibrato: null,
+    rate: 'size',
+    bendRange: 2,   // semitones either way
+};
+
+const SPEED_FULL_SCALE = 1.5;           // frame widths per second that counts as a full-force flick
+const SPEED_PEAK_DECAY = 0.25;          // seconds; a flick is still remembered once the pose settles
+const HAND_SIZE_RANGE = [0.08, 0.3];    // wrist-to-middle-knuckle span: far away .. close up
+const BEND_DEAD_ZONE = 0.08;            // roughly level hands stay in tune
+const MIN_VELOCITY = 0.3;
+const RATE_STEP_SCALES = [2, 1, 0.5];   // step length multiplier: far / middle / close thirds
+const VIBRATO_RATE = 5.5;               // Hz
+const VIBRATO_MAX_DEPTH = 0.3;          // Tone.Vibrato depth at full reading (about a semitone)
+const VIBRATO_DEAD_ZONE = 0.1;          // readings below this play without vibrato
+
+let handMotion = {};            // hand -> { wrist, time, speed, roll, size }
+const handExpression = {};      // hand -> { velocity, stepScale } captured at the last trigger
+const bentVoices = new Map();   // hand voice -> detune (cents) currently applied
+const lastBendByHand = {};
+const lastVibratoByHand = {};
+
+function updateHandMotion(hand, landmarks, time) {
+    const wrist = landmarks[0];
+    let motion = handMotion[hand];
+    if (!motion) {
+        motion = handMotion[hand] = { wrist, time, speed: 0, roll: 0.5, size: 0.5 };
+    }
+    const dt = (time - motion.time) / 1000;
+    if (dt > 0) {
+        const instant = Math.hypot(wrist.x - motion.wrist.x, wrist.y - motion.wrist.y) / dt;
+        motion.speed = Math.max(instant, motion.speed * Math.exp(-dt / SPEED_PEAK_DECAY));
+    }
+    motion.wrist = { x: wrist.x, y: wrist.y };
+    motion.time = time;
+    motion.roll = getHandMeasurements(landmarks).roll;
+    const span = Math.hypot(landmarks[9].x - wrist.x, landmarks[9].y - wrist.y);
+    motion.size = clamp01((span - HAND_SIZE_RANGE[0]) / (HAND_SIZE_RANGE[1] - HAND_SIZE_RANGE[0]));
+}
+
+// 0..1 reading of the source driving `target` for this hand, or null when unmapped / not in view
+function getExpressionValue(hand, target) {
+    const source = expressionSettings[target];
+    const motion = handMotion[hand];
+    if (!source || !motion) return null;
+    if (source === 'speed') return clamp01(motion.speed / SPEED_FULL_SCALE);
+    return motion[source];
+}
+
+// Fix velocity and rate for the gesture this hand is triggering now
+function captureHandExpression(hand) {
+    const velocity = getExpressionValue(hand, 'velocity');
+    const rate = getExpressionValue(hand, 'rate');
+    handExpression[hand] = {
+        velocity: velocity === null ? 1 : MIN_VELOCITY + (1 - MIN_VELOCITY) * velocity,
+        stepScale: rate === null ? 1 : RATE_STEP_SCALES[Math.min(2, Math.floor(rate * 3))],
+    };
+    renderExpressionStatus(hand);
+}
+
+function getHandVelocity(hand) {
+    return handExpression[hand] ? handExpression[hand].velocity : 1;
+}
+
+function getHandStepScale(hand) {
+    return handExpression[hand] ? handExpression[hand].stepScale : 1;
+}
+
+// Semitones of bend for this hand right now (0 inside the dead zone)
+function getHandBend(hand) {
+    const value = getExpressionValue(hand, 'bend');
+    if (value === null) return 0;
+    const offset = value - 0.5;
+    const amount = Math.max(0, Math.abs(offset) - BEND_DEAD_ZONE) / (0.5 - BEND_DEAD_ZONE);
+    return Math.sign(offset) * amount * expressionSettings.bendRange;
+}
+
+// 0..1 vibrato amount for this hand right now (0 inside the dead zone)
+function getHandVibrato(hand) {
+    const value = getExpressionValue(hand, 'vibrato');
+    if (value === null) return 0;
+    return Math.max(0, value - VIBRATO_DEAD_ZONE) / (1 - VIBRATO_DEAD_ZONE);
+}
+
+// Apply this frame's bends and vibrato to each hand's own voice (see getOwnHandVoice); voices
+// no hand bends any more are put back in tune.
+function updateExpressionBend(hands, time) {
+    const bends = new Map();
+    for (const hand of hands) {
+        const semitones = getHandBend(hand);
+        const rounded = Math.round(semitones * 100) / 100;
+        if (lastBendByHand[hand] !== rounded) {
+            lastBendByHand[hand] = rounded;
+            const value = (rounded / expressionSettings.bendRange + 1) / 2;
+            emitPerformanceEvent({ type: 'control', control: 'pitch', value, hand, time });
+        }
+        const vibrato = Math.round(getHandVibrato(hand) * 100) / 100;
+        if ((lastVibratoByHand[hand] || 0) !== vibrato) {
+            lastVibratoByHand[hand] = vibrato;
+            emitPerformanceEvent({ type: 'control', control: 'modulation', value: vibrato, hand, time });
+        }
+        const own = getOwnHandVoice(hand);
+        if (!own) continue;
+        bends.set(own.voice, Math.round(semitones * 100));
+        setHandVibrato(own, vibrato);
+    }
+    for (const voice of bentVoices.keys()) {
+        if (!bends.has(voice)) bends.set(voice, 0);
+    }
+    for (const [voice, detune] of bends) {
+        if ((bentVoices.get(voice) || 0) === detune) continue;
+        try {
+            voice.set({ detune });
+        } catch (err) {
+            console.warn('Pitch bend error:', err);
+            continue;
+        }
+        if (detune === 0) bentVoices.delete(voice);
+        else bentVoices.set(voice, detune);
+    }
+}
+
+function setHandVibrato(entry, amount) {
+    try {
+        entry.vibrato.depth.rampTo(amount * VIBRATO_MAX_DEPTH, 0.05);
+    } catch (err) {
+        console.warn('Vibrato error:', err);
+    }
+}
+
+// Hands that left the frame stop bending and start their speed from rest when they return
+function forgetHandMotion(hand) {
+    delete handMotion[hand];
+    if (lastBendByHand[hand]) {
+        emitPerformanceEvent({ type: 'control', control: 'pitch', value: 0.5, hand, time: Tone.now() });
+    }
+    if (lastVibratoByHand[hand]) {
+        emitPerformanceEvent({ type: 'control', control: 'modulation', value: 0, hand, time: Tone.now() });
+    }
+    delete lastBendByHand[hand];
+    delete lastVibratoByHand[hand];
+    for (const entry of Object.values(handVoices[hand] || {})) setHandVibrato(entry, 0);
+}
+
+function resetExpression() {
+    for (const hand of Object.keys(handMotion)) forgetHandMotion(hand);
+    updateExpressionBend([], Tone.now());
+}
+
+function renderExpressionStatus(hand = null) {
+    const status = document.getElementById('expressionStatus');
+    if (!status) return;
+    const expression = hand && handExpression[hand];
+    if (!expression) {
+        status.textContent = '';
+        return;
+    }
+    const rate = { 2: '½×', 1: '1×', 0.5: '2×' }[expression.stepScale];
+    status.textContent = `${hand}: velocity ${Math.round(expression.velocity * 100)}% · ${rate} speed`;
+}
+
+function syncExpressionControls() {
+    for (const [target, id] of Object.entries(EXPRESSION_TARGETS)) {
+        const select = document.getElementById(id);
+        if (select) select.value = expressionSettings[target] || '';
+    }
+    const rangeSelect = document.getElementById('expressionBendRange');
+    if (rangeSelect) rangeSelect.value = String(expressionSettings.bendRange);
+}
+
+function initExpressionControls() {
+    for (const [target, id] of Object.entries(EXPRESSION_TARGETS)) {
+        const select = document.getElementById(id);
+        if (!select) continue;
+        select.add(new Option('— Off —', ''));
+        for (const [id, name] of Object.entries(EXPRESSION_SOURCES)) select.add(new Option(name, id));
+        select.addEventListener('change', () => {
+            expressionSettings[target] = select.value || null;
+        });
+    }
+    const rangeSelect = document.getElementById('expressionBendRange');
+    if (rangeSelect) {
+        rangeSelect.addEventListener('change', () => {
+            expressionSettings.bendRange = parseInt(rangeSelect.value, 10);
+        });
+    }
+    syncExpressionControls();
+}
+
+initExpressionControls();
+
+// ============================================
+// Theremin Mode (continuous control)
+// ============================================
+const thereminSettings = {
+    enabled: false,
+    hand: 'right',          // 'left' | 'right' | 'any' (first detected hand)
+    pitchMode: 'scale',     // 'scale' snaps to the active scale, 'glide' is continuous
+    portamento: 0.05,
+    minCutoff: 200,
+    maxCutoff: 8000,
+};
+
+// Monophonic voice that sits next to polySynth: synth -> filter -> gain -> out
+let thereminSynth = null;
+let thereminFilter = null;
+let thereminGain = null;
+let isThereminSounding = false;
+let thereminPitch = null;
+
+function createThereminVoice() {
+    if (thereminSynth) return;
+    thereminGain = new Tone.Gain(0).connect(getEffectsInput());
+    thereminFilter = new Tone.Filter(thereminSettings.maxCutoff, 'lowpass').connect(thereminGain);
+    thereminSynth = new Tone.Synth({
+        portamento: thereminSettings.portamento,
+        oscillator: { type: currentOscillatorType },
+        envelope: {
+            attack: 0.05,
+            decay: 0.1,
+            sustain: 1,
+            release: 0.3,
+        },
+    }).connect(thereminFilter);
+}
+
+function clamp01(value) {
+    return Math.min(1, Math.max(0, value));
+}
+
+// Map a normalized 0..1 control value onto an exponential range
+function mapExponential(t, min, max) {
+    return min * Math.pow(max / min, clamp01(t));
+}
+
+// Read pitch, volume and cutoff from landmark positions
+function getThereminControls(landmarks) {
+    const wrist = landmarks[0];
+    const thumbTip = landmarks[4];
+    const indexTip = landmarks[8];
+    const middleMcp = landmarks[9];
+
+    // Higher hand = higher pitch; keep a margin so the extremes are reachable
+    const pitch = clamp01((0.9 - indexTip.y) / 0.8);
+
+    // Pinch distance relative to palm size, so moving closer to the camera doesn't change volume
+    const palmSize = Math.hypot(middleMcp.x - wrist.x, middleMcp.y - wrist.y) || 1;
+    const pinch = Math.hypot(thumbTip.x - indexTip.x, thumbTip.y - indexTip.y) / palmSize;
+    const volume = clamp01((pinch - 0.15) / 0.85);
+
+    const cutoff = clamp01(wrist.x);
+
+    return { pitch, volume, cutoff };
+}
+
+// Pitch as a note name (scale mode) or frequency (glide mode) across the random-sequence pool
+function getThereminPitch(t) {
+    if (thereminSettings.pitchMode === 'scale') {
+        const index = Math.round(t * (musicScale.length - 1));
+        return musicScale[index];
+    }
+    const low = midiToFrequency(noteToMidi(musicScale[0]));
+    const high = midiToFrequency(noteToMidi(musicScale[musicScale.length - 1]));
+    return mapExponential(t, low, high);
+}
+
+function updateTheremin(landmarks, hand = null) {
+    createThereminVoice();
+    const controls = getThereminControls(landmarks);
+    const pitch = getThereminPitch(controls.pitch);
+    const now = Tone.now();
+
+    try {
+        if (!isThereminSounding) {
+            thereminSynth.triggerAttack(pitch, now);
+            isThereminSounding = true;
+        } else if (pitch !== thereminPitch) {
+            thereminSynth.setNote(pitch, now);
+        }
+        thereminPitch = pitch;
+        thereminGain.gain.rampTo(controls.volume, 0.05);
+        thereminFilter.frequency.rampTo(
+            mapExponential(controls.cutoff, thereminSettings.minCutoff, thereminSettings.maxCutoff),
+            0.05
+        );
+    } catch (err) {
+        console.warn('Theremin update error:', err);
+    }
+
+    for (const control of ['pitch', 'volume', 'cutoff']) {
+        emitPerformanceEvent({ type: 'control', control, value: controls[control], hand, time: now });
+    }
+
+    drawThereminGuide(landmarks, controls);
+    return typeof pitch === 'string' ? pitch : `${Math.round(pitch)} Hz`;
+}
+
+function stopTheremin() {
+    if (!isThereminSounding) return;
+    try {
+        thereminSynth.triggerRelease(Tone.now());
+    } catch (err) {
+        console.warn('Theremin release error:', err);
+    }
+    isThereminSounding = false;
+    thereminPitch = null;
+}
+
+// Whether this hand should drive the theremin instead of triggering gestures
+function isThereminHand(hand, handIndex) {
+    if (!thereminSettings.enabled) return false;
+    if (thereminSettings.hand === 'any') return handIndex === 0;
+    return hand === thereminSettings.hand;
+}
+
+function drawThereminGuide(landmarks, controls) {
+    const thumbTip = landmarks[4];
+    const indexTip = landmarks[8];
+    ctx.save();
+    ctx.strokeStyle = `rgba(79, 172, 254, ${0.3 + controls.volume * 0.7})`;
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.moveTo(thumbTip.x * canvas.width, thumbTip.y * canvas.height);
+    ctx.lineTo(indexTip.x * canvas.width, indexTip.y * canvas.height);
+    ctx.stroke();
+    // pitch marker across the frame at the index tip height
+    ctx.setLineDash([6, 6]);
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
+    ctx.beginPath();
+    ctx.moveTo(0, indexTip.y * canvas.height);
+    ctx.lineTo(canvas.width, indexTip.y * canvas.height);
+    ctx.stroke();
+    ctx.restore();
+}
+
+function initThereminControls() {
+    const enabledInput = document.getElementById('thereminEnabled');
+    const handSelect = document.getElementById('thereminHand');
+    const pitchModeSelect = document.getElementById('thereminPitchMode');
+    if (!enabledInput) return;
+
+    enabledInput.checked = thereminSettings.enabled;
+    if (handSelect) handSelect.value = thereminSettings.hand;
+    if (pitchModeSelect) pitchModeSelect.value = thereminSettings.pitchMode;
+
+    enabledInput.addEventListener('change', () => {
+        thereminSettings.enabled = enabledInput.checked;
+        if (!thereminSettings.enabled) stopTheremin();
+    });
+    if (handSelect) {
+        handSelect.addEventListener('change', () => {
+            thereminSettings.hand = handSelect.value;
+            stopTheremin();
+        });
+    }
+    if (pitchModeSelect) {
+        pitchModeSelect.addEventListener('change', () => {
+            thereminSettings.pitchMode = pitchModeSelect.value;
+        });
+    }
+}
+
+function syncThereminControls() {
+    const enabledInput = document.getElementById('thereminEnabled');
+    const handSelect = document.getElementById('thereminHand');
+    const pitchModeSelect = document.getElementById('thereminPitchMode');
+    if (enabledInput) enabledInput.checked = thereminSettings.enabled;
+    if (handSelect) handSelect.value = thereminSettings.hand;
+    if (pitchModeSelect) pitchModeSelect.value = thereminSettings.pitchMode;
+}
+
+initThereminControls();
+
+// ============================================
+// Loop Recorder
+// ============================================
+// Records performance events into layers that loop on Tone.Transport.
+// The first layer sets the loop length (rounded to whole bars); later layers overdub on top.
+// Positions are kept in transport ticks so loops follow tempo changes.
+const looper = {
+    state: 'idle',      // 'idle' | 'recording' | 'playing' | 'overdubbing'
+    loopStart: 0,       // transport tick where the first cycle began
+    loopLength: 0,      // ticks, 0 until the first layer is closed
+    layers: [],         // { id, notes, muted, part }
+    take: null,         // layer currently being recorded
+    nextLayerId: 1,
+};
+
+// One PolySynth per oscillator type so layers keep the sound they were recorded with
+const looperVoices = {};
+
+function getLooperVoice(type) {
+    if (!looperVoices[type]) {
+        looperVoices[type] = new Tone.PolySynth({
+            voice: Tone.Synth,
+            maxPolyphony: MAX_POLYPHONY,
+            voiceOptions: getVoiceOptions(type),
+        }).connect(getEffectsInput());
+    }
+    return looperVoices[type];
+}
+
+// Position of a transport tick inside the loop
+function toLoopTime(ticks) {
+    const elapsed = ticks - looper.loopStart;
+    if (!looper.loopLength) return elapsed;
+    return ((elapsed % looper.loopLength) + looper.loopLength) % looper.loopLength;
+}
+
+function handleLooperEvent(event) {
+    const take = looper.take;
+    if (!take) return;
+    const ticks = toTransportTicks(event.time);
+
+    if (event.type === 'oscillator') {
+        take.oscillator = event.oscillator;
+    } else if (event.type === 'noteon') {
+        const key = `${event.hand}|${event.note}`;
+        if (!take.openNotes[key]) take.openNotes[key] = [];
+        take.openNotes[key].push({
+            note: event.note,
+            hand: event.hand,
+            velocity: event.velocity,
+            oscillator: take.oscillator,
+            instrument: event.instrument || 'synth',
+            start: ticks,
+        });
+    } else if (event.type === 'noteoff') {
+        const open = take.openNotes[`${event.hand}|${event.note}`];
+        if (open && open.length > 0) {
+            closeTakeNote(take, open.shift(), ticks);
+        }
+    }
+}
+
+function closeTakeNote(take, openNote, endTicks) {
+    take.notes.push({
+        time: openNote.start,
+        duration: Math.max(1, Math.round(endTicks - openNote.start)),
+        note: openNote.note,
+        hand: openNote.hand,
+        velocity: openNote.velocity,
+        oscillator: openNote.oscillator,
+        instrument: openNote.instrument,
+    });
+}
+
+onPerformanceEvent(handleLooperEvent);
+
+async function startLoopRecording() {
+    if (looper.take) return;
+    await ensureTransportRunning();
+
+    const isFirstLayer = looper.layers.length === 0;
+    if (isFirstLayer) {
+        // With quantize on, the loop lines up with the beat/bar grid nearest to the press
+        const grid = getQuantizeGrid();
+        looper.loopStart = Math.round(toTransportTicks(Tone.now()) / grid) * grid;
+        looper.loopLength = 0;
+    }
+
+    looper.take = {
+        notes: [],
+        openNotes: {},
+        oscillator: currentOscillatorType,
+    };
+
+    // Notes already held (sustain or latch) keep sounding into the take
+    const now = Tone.now();
+    for (const { note, hand } of getHeldNotes()) {
+        handleLooperEvent({ type: 'noteon', note, hand, velocity: 1, time: now });
+    }
+
+    looper.state = isFirstLayer ? 'recording' : 'overdubbing';
+    renderLooper();
+}
+
+function stopLoopRecording() {
+    const take = looper.take;
+    if (!take) return;
+    looper.take = null;
+
+    const stopTicks = toTransportTicks(Tone.now());
+    // Anything still held (e.g. Space sustain) is closed at the stop point
+    for (const open of Object.values(take.openNotes)) {
+        for (const openNote of open) closeTakeNote(take, openNote, stopTicks);
+    }
+
+    if (!looper.loopLength) {
+        const bars = Math.max(1, Math.round((stopTicks - looper.loopStart) / getBarTicks()));
+        looper.loopLength = bars * getBarTicks();
+    }
+
+    const notes = take.notes.map(n => ({ ...n, time: toLoopTime(n.time) }));
+    if (notes.length > 0) {
+        addLoopLayer(notes);
+    } else {
+        console.log('Looper: nothing recorded in this take');
+    }
+
+    looper.state = looper.layers.length > 0 ? 'playing' : 'idle';
+    if (looper.layers.length === 0) looper.loopLength = 0;
+    renderLooper();
+}
+
+function addLoopLayer(notes) {
+    const layer = {
+        id: looper.nextLayerId++,
+        notes,
+        muted: false,
+        part: null,
+    };
+
+    layer.part = new Tone.Part((time, n) => {
+        try {
+            const duration = Tone.Ticks(n.duration).toSeconds();
+            if (n.instrument === 'drums') {
+                const drum = drumFromNote(n.note);
+                if (drum) playDrumSound(drum, time, n.velocity);
+            } else if (n.instrument && n.instrument !== 'synth') {
+                const voice = getInstrumentVoice(n.instrument) || getLooperVoice(n.oscillator);
+                voice.triggerAttackRelease(n.note, duration, time, n.velocity);
+            } else {
+                getLooperVoice(n.oscillator).triggerAttackRelease(n.note, duration, time, n.velocity);
+            }
+        } catch (err) {
+            console.warn('Looper playback error:', err);
+        }
+    }, notes.map(n => [`${n.time}i`, n]));
+    layer.part.loop = true;
+    layer.part.loopEnd = `${looper.loopLength}i`;
+
+    // Join the loop where it currently is; leave a little room for the scheduler lookahead
+    const startAt = Math.ceil(toTransportTicks(Tone.now() + 0.1));
+    layer.part.start(`${startAt}i`, `${Math.round(toLoopTime(startAt))}i`);
+
+    looper.layers.push(layer);
+    console.log(`Looper: added layer ${layer.id} with ${notes.length} notes`);
+    return layer;
+}
+
+function toggleLoopRecording() {
+    if (looper.take) {
+        stopLoopRecording();
+    } else {
+        startLoopRecording().catch(err => console.error('Error starting loop recording:', err));
+    }
+}
+
+function undoLoopLayer() {
+    if (looper.take) {
+        // Undo while recording discards the take in progress
+        looper.take = null;
+    } else {
+        const layer = looper.layers.pop();
+        if (layer) layer.part.dispose();
+    }
+    if (looper.layers.length === 0) {
+        looper.loopLength = 0;
+        looper.state = 'idle';
+    } else {
+        looper.state = 'playing';
+    }
+    renderLooper();
+}
+
+function clearLooper() {
+    looper.take = null;
+    for (const layer of looper.layers) layer.part.dispose();
+    looper.layers = [];
+    looper.loopLength = 0;
+    looper.state = 'idle';
+    renderLooper();
+}
+
+function setLoopLayerMuted(id, muted) {
+    const layer = looper.layers.find(l => l.id === id);
+    if (!layer) return;
+    layer.muted = muted;
+    layer.part.mute = muted;
+    renderLooper();
+}
+
+function renderLooper() {
+    const recordBtn = document.getElementById('looperRecordBtn');
+    const status = document.getElementById('looperStatus');
+    const layerList = document.getElementById('looperLayers');
+
+    if (recordBtn) {
+        if (looper.take) {
+            recordBtn.textContent = '⏹ Stop Recording';
+        } else {
+            recordBtn.textContent = looper.layers.length > 0 ? '⏺ Overdub' : '⏺ Record Loop';
+        }
+    }
+
+    if (status) {
+        const bars = looper.loopLength ? Math.round(looper.loopLength / getBarTicks()) : 0;
+        const stateNames = {
+            'idle': 'Empty',
+            'recording': 'Recording first layer...',
+            'playing': 'Playing',
+            'overdubbing': 'Overdubbing...',
+        };
+        status.textContent = bars > 0
+            ? `${stateNames[looper.state]} (${bars} bar${bars === 1 ? '' : 's'})`
+            : stateNames[looper.state];
+    }
+
+    if (layerList) {
+        layerList.innerHTML = '';
+        for (const layer of looper.layers) {
+            const li = document.createElement('li');
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = layer.muted;
+            checkbox.addEventListener('change', () => setLoopLayerMuted(layer.id, checkbox.checked));
+            label.appendChild(checkbox);
+            label.append(` Mute layer ${layer.id} (${layer.notes.length} notes)`);
+            li.appendChild(label);
+            layerList.appendChild(li);
+        }
+    }
+}
+
+function initLooperControls() {
+    const recordBtn = document.getElementById('looperRecordBtn');
+    const undoBtn = document.getElementById('looperUndoBtn');
+    const clearBtn = document.getElementById('looperClearBtn');
+    if (recordBtn) recordBtn.addEventListener('click', toggleLoopRecording);
+    if (undoBtn) undoBtn.addEventListener('click', undoLoopLayer);
+    if (clearBtn) clearBtn.addEventListener('click', clearLooper);
+    renderLooper();
+}
+
+initLooperControls();
+
+// ============================================
+// Performance Log & Standard MIDI Files
+// ============================================
+// The SMF reader and writer live in midi.js.
+// Everything played since the page loaded (or the log was cleared), in seconds from the first event
+const performanceLog = {
+    startTime: null,
+    events: [],
+    noteCount: 0,
+};
+
+let midiImportPart = null;
+// Notes the import has scheduled and not yet finished: { note, voice, start, end }
+let midiImportNotes = [];
+
+onPerformanceEvent((event) => {
+    // Continuous controls arrive every camera frame; they aren't part of the note log
+    if (event.type === 'control') return;
+    if (performanceLog.startTime === null) performanceLog.startTime = event.time;
+    performanceLog.events.push({ ...event, time: event.time - performanceLog.startTime });
+    if (event.type === 'noteon') {
+        performanceLog.noteCount++;
+        renderPerformanceLog();
+    }
+});
+
+function clearPerformanceLog() {
+    performanceLog.startTime = null;
+    performanceLog.events = [];
+    performanceLog.noteCount = 0;
+    renderPerformanceLog();
+}
+
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function exportPerformanceMidi() {
+    if (performanceLog.events.length === 0) {
+        console.warn('Nothing to export yet');
+        return;
+    }
+    const events = performanceLog.events.slice().sort((a, b) => a.time - b.time);
+    const bytes = encodeMidiFile(events, {
+        bpm: transportSettings.bpm,
+        beatsPerBar: transportSettings.beatsPerBar,
+    });
+    downloadBlob(new Blob([bytes], { type: 'audio/midi' }), `hand-pose-performance-${Date.now()}.mid`);
+}
+
+async function importMidiFile(file) {
+    try {
+        const notes = midiFileToNotes(parseMidiFile(await file.arrayBuffer()));
+        console.log(`Imported ${notes.length} notes from ${file.name}`);
+        await playImportedNotes(notes);
+    } catch (err) {
+        console.error('Error importing MIDI file:', err);
+        const status = document.getElementById('performanceLogStatus');
+        if (status) status.textContent = `Import failed: ${err.message}`;
+    }
+}
+
+// Play imported notes through the current synth on the transport
+async function playImportedNotes(notes) {
+    stopImportedPlayback();
+    if (notes.length === 0) return;
+    await ensureTransportRunning();
+
+    midiImportPart = new Tone.Part((time, n) => {
+        midiImportNotes = midiImportNotes.filter(entry => entry.end > time);
+        midiImportNotes.push({ note: n.note, voice: polySynth, start: time, end: time + n.duration });
+        try {
+            polySynth.triggerAttackRelease(n.note, n.duration, time, n.velocity);
+        } catch (err) {
+            console.warn('MIDI playback error:', err);
+        }
+    }, notes.map(n => [n.time, n]));
+    // Part times are transport-relative, so offset the whole file to start just ahead of now
+    midiImportPart.start(Tone.Transport.seconds + 0.1);
+}
+
+function stopImportedPlayback() {
+    if (!midiImportPart) return;
+    midiImportPart.dispose();
+    midiImportPart = null;
+    // Only the imported notes: anything the player is holding keeps sounding
+    const now = Tone.now();
+    for (const entry of midiImportNotes) {
+        if (entry.end <= now) continue;
+        try {
+            // notes scheduled just ahead of now still start, so end them as they do
+            entry.voice.triggerRelease(entry.note, Math.max(now, entry.start));
+        } catch (err) {
+            console.warn('Error releasing imported note:', err);
+        }
+    }
+    midiImportNotes = [];
+}
+
+function renderPerformanceLog() {
+    const status = document.getElementById('performanceLogStatus');
+    if (!status) return;
+    const noteCount = performanceLog.noteCount;
+    status.textContent = `${noteCount} note${noteCount === 1 ? '' : 's'} logged`;
+}
+
+function initPerformanceLogControls() {
+    const exportBtn = document.getElementById('midiExportBtn');
+    const importBtn = document.getElementById('midiImportBtn');
+    const importInput = document.getElementById('midiImportInput');
+    const stopBtn = document.getElementById('midiStopBtn');
+    const clearBtn = document.getElementById('performanceLogClearBtn');
+
+    if (exportBtn) exportBtn.addEventListener('click', exportPerformanceMidi);
+    if (importBtn && importInput) {
+        importBtn.addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', () => {
+            if (importInput.files[0]) importMidiFile(importInput.files[0]);
+            importInput.value = '';
+        });
+    }
+    if (stopBtn) stopBtn.addEventListener('click', stopImportedPlayback);
+    if (clearBtn) clearBtn.addEventListener('click', clearPerformanceLog);
+    renderPerformanceLog();
+}
+
+initPerformanceLogControls();
+
+// ============================================
+// Audio Recording (WAV)
+// ============================================
+// Live recording taps Tone.Destination, so it hears every voice after the effects rack.
+// Samples arrive from an AudioWorklet in 128-frame blocks and are written out as PCM WAV.
+// The offline path re-renders the performance log with Tone.Offline instead, which is
+// faster than real time and unaffected by dropped camera frames.
+const WAV_RECORDER_PROCESSOR = `
+class WavRecorderProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        this.recording = true;
+        this.port.onmessage = (e) => {
+            if (e.data === 'stop') {
+                this.recording = false;
+                // port messages arrive in order, so every block is in before this one
+                this.port.postMessage('stopped');
+            }
+        };
+    }
+
+    process(inputs) {
+        const input = inputs[0];
+        if (this.recording && input && input.length > 0) {
+            this.port.postMessage(input.map(channel => channel.slice(0)));
+        }
+        return this.recording;
+    }
+}
+registerProcessor('wav-recorder', WavRecorderProcessor);
+`;
+
+// Tail added after the last note of an offline render so releases and reverb can ring out
+const OFFLINE_RENDER_TAIL = 2;
+
+const audioRecorder = {
+    node: null,
+    chunks: [],     // [[Float32Array per channel], ...]
+    bitDepth: 16,   // 16 | 24
+};
+
+let wavWorkletLoaded = false;
+
+// Interleaved little-endian PCM with a canonical 44-byte header
+function encodeWav(channels, sampleRate, bitDepth = 16) {
+    const bytesPerSample = bitDepth / 8;
+    const frameCount = channels[0] ? channels[0].length : 0;
+    const blockAlign = channels.length * bytesPerSample;
+    const dataSize = frameCount * blockAlign;
+    const view = new DataView(new ArrayBuffer(44 + dataSize));
+
+    const writeString = (offset, text) => {
+        for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+    };
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true); // PCM
+    view.setUint16(22, channels.length, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * blockAlign, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, bitDepth, true);
+    writeString(36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    const max = Math.pow(2, bitDepth - 1) - 1;
+    let offset = 44;
+    for (let i = 0; i < frameCount; i++) {
+        for (const channel of channels) {
+            const value = Math.round(Math.max(-1, Math.min(1, channel[i])) * max);
+            if (bitDepth === 24) {
+                view.setUint8(offset, value & 0xff);
+                view.setUint8(offset + 1, (value >> 8) & 0xff);
+                view.setUint8(offset + 2, (value >> 16) & 0xff);
+            } else {
+                view.setInt16(offset, value, true);
+            }
+            offset += bytesPerSample;
+        }
+    }
+    return view.buffer;
+}
+
+function mergeRecordedChunks(chunks) {
+    const channelCount = Math.max(1, ...chunks.map(chunk => chunk.length));
+    const frameCount = chunks.reduce((sum, chunk) => sum + (chunk[0] ? chunk[0].length : 0), 0);
+    const channels = Array.from({ length: channelCount }, () => new Float32Array(frameCount));
+    let offset = 0;
+    for (const chunk of chunks) {
+        const length = chunk[0] ? chunk[0].length : 0;
+        for (let c = 0; c < channelCount; c++) {
+            // a mono block is copied to every channel
+            channels[c].set(chunk[c] || chunk[0], offset);
+        }
+        offset += length;
+    }
+    return channels;
+}
+
+async function startAudioRecording() {
+    if (audioRecorder.node) return;
+    try {
+        await Tone.start();
+        if (!wavWorkletLoaded) {
+            const url = URL.createObjectURL(new Blob([WAV_RECORDER_PROCESSOR], { type: 'application/javascript' }));
+            await Tone.context.addAudioWorkletModule(url);
+            wavWorkletLoaded = true;
+        }
+        const node = Tone.context.createAudioWorkletNode('wav-recorder', {
+            numberOfInputs: 1,
+            numberOfOutputs: 1,
+            outputChannelCount: [2],
+            channelCount: 2,
+            channelCountMode: 'explicit',
+        });
+        const chunks = [];
+        audioRecorder.chunks = chunks;
+        node.port.onmessage = (e) => chunks.push(e.data);
+        Tone.Destination.connect(node);
+        // the processor outputs silence; the connection just keeps it pulled by the graph
+        node.connect(Tone.context.rawContext.destination);
+        audioRecorder.node = node;
+        setAudioRecordingStatus('🔴 Recording…');
+    } catch (err) {
+        console.error('Error starting audio recording:', err);
+        setAudioRecordingStatus(`Recording failed: ${err.message}`);
+    }
+    renderAudioRecordButton();
+}
+
+// Blocks posted just before the processor saw 'stop' are still on their way, so wait for its
+// 'stopped' reply. A context that isn't running never answers; give up after a second then.
+function finishWorkletRecording(node) {
+    return new Promise((resolve) => {
+        const onChunk = node.port.onmessage;
+        const timer = setTimeout(resolve, 1000);
+        node.port.onmessage = (e) => {
+            if (e.data === 'stopped') {
+                clearTimeout(timer);
+                resolve();
+            } else {
+                onChunk(e);
+            }
+        };
+        node.port.postMessage('stop');
+    });
+}
+
+async function stopAudioRecording() {
+    const node = audioRecorder.node;
+    if (!node) return;
+    audioRecorder.node = null;
+    const chunks = audioRecorder.chunks;
+    renderAudioRecordButton();
+    setAudioRecordingStatus('Saving…');
+    await finishWorkletRecording(node);
+    try {
+        Tone.Destination.disconnect(node);
+        node.disconnect();
+    } catch (err) {
+        console.warn('Error disconnecting recorder:', err);
+    }
+
+    const channels = mergeRecordedChunks(chunks);
+    if (audioRecorder.chunks === chunks) audioRecorder.chunks = [];
+    const wav = encodeWav(channels, Tone.context.sampleRate, audioRecorder.bitDepth);
+    downloadBlob(new Blob([wav], { type: 'audio/wav' }), `hand-pose-recording-${Date.now()}.wav`);
+    setAudioRecordingStatus(`Saved ${(channels[0].length / Tone.context.sampleRate).toFixed(1)} s`);
+}
+
+function toggleAudioRecording() {
+    if (audioRecorder.node) {
+        stopAudioRecording().catch(err => console.error('Error saving audio recording:', err));
+    } else {
+        startAudioRecording();
+    }
+}
+
+// Pair logged note-ons/offs into notes, keeping the oscillator that was active for each
+function performanceLogToNotes(events) {
+    const sorted = events.slice().sort((a, b) => a.time - b.time);
+    const startTime = sorted.length > 0 ? sorted[0].time : 0;
+    const notes = [];
+    const open = {};
+    let oscillator = currentOscillatorType;
+    // the log only records changes, so find what was playing before the first one
+    const firstChange = sorted.find(e => e.type === 'oscillator');
+    if (firstChange && firstChange.previous) oscillator = firstChange.previous;
+
+    for (const e of sorted) {
+        if (e.type === 'oscillator') {
+            oscillator = e.oscillator;
+        } else if (e.type === 'noteon') {
+            const key = `${e.hand}|${e.note}`;
+            if (!open[key]) open[key] = [];
+            open[key].push({
+                note: e.note,
+                start: e.time - startTime,
+                velocity: e.velocity ?? 1,
+                instrument: e.instrument || 'synth',
+                oscillator,
+            });
+        } else if (e.type === 'noteoff') {
+            const pending = open[`${e.hand}|${e.note}`];
+            if (pending && pending.length > 0) {
+                const n = pending.shift();
+                notes.push({ ...n, duration: Math.max(0.01, e.time - startTime - n.start) });
+            }
+        }
+    }
+    // notes that never got a note-off end with the log
+    const end = sorted.length > 0 ? sorted[sorted.length - 1].time - startTime : 0;
+    for (const pending of Object.values(open)) {
+        for (const n of pending) notes.push({ ...n, duration: Math.max(0.01, end - n.start) });
+    }
+    return notes;
+}
+
+// Voices are created inside the offline context on first use
+function createOfflineVoiceFactory(destination) {
+    const voices = {};
+    return (n) => {
+        const key = n.instrument === 'synth' ? `synth:${n.oscillator}` : n.instrument;
+        if (!voices[key]) {
+            if (n.instrument === 'drums') {
+                voices[key] = {};
+            } else if (INSTRUMENTS[n.instrument] && INSTRUMENTS[n.instrument].create) {
+                voices[key] = INSTRUMENTS[n.instrument].create().connect(destination);
+            } else {
+                // plain synth, and the sampler (its buffers live in the live context)
+                voices[key] = new Tone.PolySynth({
+                    voice: Tone.Synth,
+                    maxPolyphony: MAX_POLYPHONY,
+                    voiceOptions: getVoiceOptions(n.oscillator),
+                }).connect(destination);
+            }
+        }
+        if (n.instrument !== 'drums') return voices[key];
+        const drum = drumFromNote(n.note);
+        if (!drum) return null;
+        if (!voices[key][drum]) voices[key][drum] = DRUM_SOUNDS[drum].create().connect(destination);
+        return { drum, voice: voices[key][drum] };
+    };
+}
+
+// Re-render the performance log through the current instruments and effect settings.
+// Hand-mapped effect movements and the theremin aren't in the log, so they're not rendered.
+async function renderPerformanceOffline() {
+    const notes = performanceLogToNotes(performanceLog.events);
+    if (notes.length === 0) {
+        setAudioRecordingStatus('Nothing logged to render');
+        return;
+    }
+    const lead = 0.1;
+    const duration = lead + Math.max(...notes.map(n => n.start + n.duration)) + envelopeSettings.release + OFFLINE_RENDER_TAIL;
+    setAudioRecordingStatus(`Rendering ${duration.toFixed(1)} s…`);
+
+    try {
+        const buffer = await Tone.Offline(async () => {
+            const rack = buildEffectsRack();
+            for (const id of EFFECT_ORDER) applyEffectSettings(id, rack);
+            const getVoice = createOfflineVoiceFactory(rack.input);
+
+            for (const n of notes) {
+                const voice = getVoice(n);
+                if (!voice) continue;
+                const time = lead + n.start;
+                if (voice.drum) {
+                    DRUM_SOUNDS[voice.drum].play(voice.voice, time, n.velocity);
+                } else {
+                    voice.triggerAttackRelease(n.note, n.duration, time, n.velocity);
+                }
+            }
+            await rack.slots.reverb.effect.ready;
+        }, duration, 2);
+
+        const audioBuffer = buffer.get();
+        const channels = [];
+        for (let c = 0; c < audioBuffer.numberOfChannels; c++) channels.push(audioBuffer.getChannelData(c));
+        const wav = encodeWav(channels, audioBuffer.sampleRate, audioRecorder.bitDepth);
+        downloadBlob(new Blob([wav], { type: 'audio/wav' }), `hand-pose-render-${Date.now()}.wav`);
+        setAudioRecordingStatus(`Rendered ${notes.length} notes (${duration.toFixed(1)} s)`);
+    } catch (err) {
+        console.error('Error rendering performance:', err);
+        setAudioRecordingStatus(`Render failed: ${err.message}`);
+    }
+}
+
+function setAudioRecordingStatus(text) {
+    const status = document.getElementById('audioRecordStatus');
+    if (status) status.textContent = text;
+}
+
+function renderAudioRecordButton() {
+    const recordBtn = document.getElementById('audioRecordBtn');
+    if (recordBtn) recordBtn.textContent = audioRecorder.node ? '⏹ Stop & Save WAV' : '⏺ Record Audio';
+}
+
+function initAudioRecordingControls() {
+    const recordBtn = document.getElementById('audioRecordBtn');
+    const renderBtn = document.getElementById('audioRenderBtn');
+    const bitDepthSelect = document.getElementById('audioBitDepth');
+
+    if (recordBtn) recordBtn.addEventListener('click', toggleAudioRecording);
+    if (renderBtn) renderBtn.addEventListener('click', renderPerformanceOffline);
+    if (bitDepthSelect) {
+        bitDepthSelect.value = String(audioRecorder.bitDepth);
+        bitDepthSelect.addEventListener('change', () => {
+            audioRecorder.bitDepth = parseInt(bitDepthSelect.value, 10);
+        });
+    }
+    renderAudioRecordButton();
+}
+
+initAudioRecordingControls();
+
+// ============================================
+// Web MIDI Output & Input
+// ============================================
+// The output backend (MidiOutputBackend) lives in midi.js; this wires it to the ports and the clock.
+const MIDI_OSCILLATOR_PROGRAMS = ['sine', 'square', 'triangle', 'sawtooth'];
+
+const midiSettings = {
+    outputId: '',
+    inputId: '',
+    channel: 0,                           // 0-based; used for sources that aren't a hand
+    handChannels: { left: 0, right: 1 },  // 0-based channel per hand
+    internalSound: true,
+};
+
+let midiAccess = null;
+let midiOutput = null;
+let midiInputPort = null;
+
+onPerformanceEvent((event) => {
+    if (midiOutput) midiOutput.handleEvent(event);
+});
+
+// AudioContext time -> Web MIDI timestamp (ms on the performance.now() clock)
+function audioTimeToMidiTimestamp(time) {
+    const ahead = Math.max(0, time - Tone.context.currentTime);
+    return performance.now() + ahead * 1000;
+}
+
+function setMidiOutputPort(port) {
+    if (midiOutput) midiOutput.allNotesOff();
+    midiOutput = port
+        ? new MidiOutputBackend(port, {
+            channel: midiSettings.channel,
+            handChannels: midiSettings.handChannels,
+            toTimestamp: audioTimeToMidiTimestamp,
+        })
+        : null;
+}
+
+// Incoming controller messages: program change picks the oscillator, a key sets transposition around middle C
+function handleMidiInputMessage(data) {
+    const status = data[0] & 0xf0;
+    if (status === 0xc0) {
+        switchOscillator(MIDI_OSCILLATOR_PROGRAMS[data[1] % MIDI_OSCILLATOR_PROGRAMS.length]);
+    } else if (status === 0x90 && data[2] > 0) {
+        const semitones = Math.max(-12, Math.min(12, data[1] - 60));
+        applyScale({ transpose: semitones });
+    }
+}
+
+function setMidiInputPort(port) {
+    if (midiInputPort) midiInputPort.onmidimessage = null;
+    midiInputPort = port || null;
+    if (midiInputPort) {
+        midiInputPort.onmidimessage = (e) => handleMidiInputMessage(e.data);
+    }
+}
+
+function setInternalSound(enabled) {
+    midiSettings.internalSound = enabled;
+    Tone.Destination.mute = !enabled;
+}
+
+async function enableWebMidi() {
+    const status = document.getElementById('midiStatus');
+    if (!navigator.requestMIDIAccess) {
+        if (status) status.textContent = 'Web MIDI is not supported in this browser';
+        return;
+    }
+    try {
+        midiAccess = await navigator.requestMIDIAccess();
+        midiAccess.onstatechange = renderMidiPorts;
+        renderMidiPorts();
+        if (status) status.textContent = 'MIDI ready';
+    } catch (err) {
+        console.error('Error requesting MIDI access:', err);
+        if (status) status.textContent = 'MIDI access denied';
+    }
+}
+
+function fillPortSelect(select, ports, selectedId) {
+    select.innerHTML = '';
+    select.add(new Option('None', ''));
+    for (const port of ports) {
+        select.add(new Option(port.name, port.id));
+    }
+    select.value = ports.some(p => p.id === selectedId) ? selectedId : '';
+}
+
+function renderMidiPorts() {
+    if (!midiAccess) return;
+    const outputSelect = document.getElementById('midiOutputSelect');
+    const inputSelect = document.getElementById('midiInputSelect');
+    const outputs = Array.from(midiAccess.outputs.values());
+    const inputs = Array.from(midiAccess.inputs.values());
+    if (outputSelect) fillPortSelect(outputSelect, outputs, midiSettings.outputId);
+    if (inputSelect) fillPortSelect(inputSelect, inputs, midiSettings.inputId);
+
+    // a selected port may have been unplugged
+    if (midiSettings.outputId && !midiAccess.outputs.get(midiSettings.outputId)) {
+        midiSettings.outputId = '';
+        setMidiOutputPort(null);
+    }
+    if (midiSettings.inputId && !midiAccess.inputs.get(midiSettings.inputId)) {
+        midiSettings.inputId = '';
+        setMidiInputPort(null);
+    }
+}
+
+function initMidiControls() {
+    const enableBtn = document.getElementById('midiEnableBtn');
+    const outputSelect = document.getElementById('midiOutputSelect');
+    const inputSelect = document.getElementById('midiInputSelect');
+    const internalInput = document.getElementById('midiInternalSound');
+    const channelSelects = {
+        channel: document.getElementById('midiChannel'),
+        left: document.getElementById('midiLeftChannel'),
+        right: document.getElementById('midiRightChannel'),
+    };
+    if (!enableBtn) return;
+
+    for (const select of Object.values(channelSelects)) {
+        if (!select) continue;
+        for (let ch = 0; ch < 16; ch++) select.add(new Option(String(ch + 1), String(ch)));
+    }
+    if (channelSelects.channel) channelSelects.channel.value = String(midiSettings.channel);
+    if (channelSelects.left) channelSelects.left.value = String(midiSettings.handChannels.left);
+    if (channelSelects.right) channelSelects.right.value = String(midiSettings.handChannels.right);
+
+    enableBtn.addEventListener('click', enableWebMidi);
+    if (outputSelect) {
+        outputSelect.addEventListener('change', () => {
+            midiSettings.outputId = outputSelect.value;
+            setMidiOutputPort(midiAccess && midiAccess.outputs.get(outputSelect.value));
+        });
+    }
+    if (inputSelect) {
+        inputSelect.addEventListener('change', () => {
+            midiSettings.inputId = inputSelect.value;
+            setMidiInputPort(midiAccess && midiAccess.inputs.get(inputSelect.value));
+        });
+    }
+    for (const [key, select] of Object.entries(channelSelects)) {
+        if (!select) continue;
+        select.addEventListener('change', () => {
+            const channel = parseInt(select.value, 10);
+            if (key === 'channel') {
+                midiSettings.channel = channel;
+            } else {
+                midiSettings.handChannels[key] = channel;
+            }
+            // rebuild the backend so the new channel map takes effect
+            if (midiOutput) setMidiOutputPort(midiOutput.port);
+        });
+    }
+    if (internalInput) {
+        internalInput.checked = midiSettings.internalSound;
+        internalInput.addEventListener('change', () => setInternalSound(internalInput.checked));
+    }
+}
+
+initMidiControls();
+
+// ============================================
+// Landmark Recording & Replay
+// ============================================
+// Saves per-frame MediaPipe results so sessions can be replayed without a camera.
+// File format: { version: 1, createdAt, aspect, frames: [{ t, multiHandLandmarks, multiHandedness }] }
+// where `t` is milliseconds since the recording started and `aspect` the camera image's
+// width / height (older files have none). test/fixtures/ holds recordings in this format.
+const LANDMARK_RECORDING_VERSION = 1;
+
+let landmarkRecording = null;   // { startTime, frames } while recording
+let landmarkReplay = null;      // { timer, recording, index, baseTime, speed, loop } while replaying
+
+// Entry point for live camera results
+function handleLiveHandsResults(rawResults) {
+    // a replay owns the pipeline while it runs
+    if (landmarkReplay) return;
+    const results = correctHandedness(rawResults);
+    if (landmarkRecording) recordLandmarkFrame(results);
+    onHandsResults(results);
+}
+
+function recordLandmarkFrame(results) {
+    landmarkRecording.frames.push({
+        t: Math.round(performance.now() - landmarkRecording.startTime),
+        multiHandLandmarks: (results.multiHandLandmarks || []).map(hand =>
+            hand.map(p => ({ x: p.x, y: p.y, z: p.z }))
+        ),
+        multiHandedness: (results.multiHandedness || []).map(h => ({
+            index: h.index,
+            score: h.score,
+            label: h.label,
+        })),
+    });
+}
+
+function startLandmarkRecording() {
+    landmarkRecording = { startTime: performance.now(), frames: [] };
+    renderLandmarkRecorder();
+}
+
+function stopLandmarkRecording() {
+    if (!landmarkRecording) return null;
+    const recording = {
+        version: LANDMARK_RECORDING_VERSION,
+        createdAt: new Date().toISOString(),
+        aspect: canvas.width / canvas.height,
+        frames: landmarkRecording.frames,
+    };
+    landmarkRecording = null;
+    renderLandmarkRecorder();
+    return recording;
+}
+
+function toggleLandmarkRecording() {
+    if (landmarkRecording) {
+        const recording = stopLandmarkRecording();
+        if (recording.frames.length === 0) {
+            console.warn('No landmark frames recorded (is the camera running?)');
+            return;
+        }
+        const json = JSON.stringify(recording);
+        downloadBlob(new Blob([json], { type: 'application/json' }), `landmarks-${Date.now()}.json`);
+    } else {
+        startLandmarkRecording();
+    }
+}
+
+function parseLandmarkRecording(text) {
+    const recording = JSON.parse(text);
+    if (!recording || !Array.isArray(recording.frames)) {
+        throw new Error('Not a landmark recording');
+    }
+    if (recording.version > LANDMARK_RECORDING_VERSION) {
+        console.warn(`Landmark recording version ${recording.version} is newer than supported`);
+    }
+    return recording;
+}
+
+// Frame as MediaPipe would deliver it, stamped with the time it should be treated as arriving
+function toReplayResults(frame, frameTime) {
+    return {
+        multiHandLandmarks: frame.multiHandLandmarks || [],
+        multiHandedness: frame.multiHandedness || [],
+        frameTime,
+    };
+}
+
+// Replay frames through onHandsResults in real time, or faster with speed > 1
+function startLandmarkReplay(recording, { speed = 1, loop = false } = {}) {
+    stopLandmarkReplay();
+    if (recording.frames.length === 0) return;
+
+    resetHandState();
+    // classify with the recorded camera's proportions, not this canvas's
+    if (recording.aspect) setLandmarkAspect(recording.aspect);
+    landmarkReplay = {
+        recording,
+        speed,
+        loop,
+        index: 0,
+        baseTime: performance.now(),
+        timer: null,
+    };
+    renderLandmarkRecorder();
+    scheduleNextReplayFrame();
+}
+
+function scheduleNextReplayFrame() {
+    const replay = landmarkReplay;
+    if (!replay) return;
+    const frames = replay.recording.frames;
+
+    if (replay.index >= frames.length) {
+        if (!replay.loop) {
+            stopLandmarkReplay();
+            return;
+        }
+        // keep frame times increasing across loops
+        replay.baseTime += frames[frames.length - 1].t / replay.speed + 33;
+        replay.index = 0;
+    }
+
+    const frame = frames[replay.index];
+    const dueAt = replay.baseTime + frame.t / replay.speed;
+    replay.timer = setTimeout(() => {
+        if (landmarkReplay !== replay) return;
+        replay.index++;
+        try {
+            onHandsResults(toReplayResults(frame, dueAt));
+        } catch (err) {
+            console.error('Error replaying frame:', err);
+        }
+        scheduleNextReplayFrame();
+    }, Math.max(0, dueAt - performance.now()));
+}
+
+function stopLandmarkReplay() {
+    if (!landmarkReplay) return;
+    clearTimeout(landmarkReplay.timer);
+    landmarkReplay = null;
+    setLandmarkAspect(canvas.width / canvas.height);
+    resetHandState();
+    renderLandmarkRecorder();
+}
+
+function renderLandmarkRecorder() {
+    const recordBtn = document.getElementById('landmarkRecordBtn');
+    const status = document.getElementById('landmarkStatus');
+    if (recordBtn) {
+        recordBtn.textContent = landmarkRecording ? '⏹ Stop & Save' : '⏺ Record Landmarks';
+    }
+    if (status) {
+        if (landmarkRecording) {
+            status.textContent = 'Recording landmarks...';
+        } else if (landmarkReplay) {
+            status.textContent = `Replaying ${landmarkReplay.recording.frames.length} frames at ${landmarkReplay.speed}x`;
+        } else {
+            status.textContent = '';
+        }
+    }
+}
+
+function initLandmarkRecorderControls() {
+    const recordBtn = document.getElementById('landmarkRecordBtn');
+    const replayBtn = document.getElementById('landmarkReplayBtn');
+    const replayInput = document.getElementById('landmarkReplayInput');
+    const stopBtn = document.getElementById('landmarkStopReplayBtn');
+    const speedSelect = document.getElementById('landmarkReplaySpeed');
+    const loopInput = document.getElementById('landmarkReplayLoop');
+
+    if (recordBtn) recordBtn.addEventListener('click', toggleLandmarkRecording);
+    if (replayBtn && replayInput) {
+        replayBtn.addEventListener('click', () => replayInput.click());
+        replayInput.addEventListener('change', async () => {
+            const file = replayInput.files[0];
+            replayInput.value = '';
+            if (!file) return;
+            try {
+                const recording = parseLandmarkRecording(await file.text());
+                await Tone.start();
+                startLandmarkReplay(recording, {
+                    speed: speedSelect ? parseFloat(speedSelect.value) : 1,
+                    loop: loopInput ? loopInput.checked : false,
+                });
+            } catch (err) {
+                console.error('Error loading landmark recording:', err);
+                const status = document.getElementById('landmarkStatus');
+                if (status) status.textContent = `Load failed: ${err.message}`;
+            }
+        });
+    }
+    if (stopBtn) stopBtn.addEventListener('click', stopLandmarkReplay);
+    renderLandmarkRecorder();
+}
+
+initLandmarkRecorderControls();
+
+// ============================================
+// Custom Gestures (training & nearest-neighbour recognition)
+// ============================================
+const CUSTOM_GESTURE_STORAGE_KEY = 'handPoseMusic.customGestures';
+// Version 1 files bound gestures to { type: 'note' }, which played the gesture's pattern
+const CUSTOM_GESTURE_VERSION = 2;
+const CUSTOM_GESTURE_K = 5;
+const CAPTURE_COUNTDOWN_MS = 3000;
+const CAPTURE_DURATION_MS = 2000;
+
+// Actions a gesture, combo or control-layer motion can trigger instead of a note. run(hand) may
+// return a short text for the control layer's on-canvas feedback.
+const customGestureActions = {
+    'osc:sine': { label: '🌊 Sine Wave', run: () => switchOscillator('sine') },
+    'osc:square': { label: '📦 Square Wave', run: () => switchOscillator('square') },
+    'osc:triangle': { label: '△ Triangle Wave', run: () => switchOscillator('triangle') },
+    'osc:sawtooth': { label: '📈 Sawtooth Wave', run: () => switchOscillator('sawtooth') },
+    'osc:next': { label: '🌊 Next oscillator', run: () => cycleOscillator(1) },
+    'osc:prev': { label: '🌊 Previous oscillator', run: () => cycleOscillator(-1) },
+    'instrument:next': { label: '🎹 Next instrument', run: hand => cycleHandInstrument(hand, 1) },
+    'instrument:prev': { label: '🎹 Previous instrument', run: hand => cycleHandInstrument(hand, -1) },
+    'octave:up': { label: '⬆️ Octave up', run: () => shiftOctave(1) },
+    'octave:down': { label: '⬇️ Octave down', run: () => shiftOctave(-1) },
+    'key:up': { label: '🎼 Key up a fifth', run: () => shiftKey(7) },
+    'key:down': { label: '🎼 Key down a fifth', run: () => shiftKey(-7) },
+    'sustain:toggle': { label: '🦶 Toggle sustain', run: () => toggleSustainPedal() },
+    'camera:stop': { label: '⏹ Stop camera', run: () => stopCameraFromGesture() },
+    'looper:record': { label: '⏺ Looper Record/Stop', run: () => toggleLoopRecording() },
+    'looper:undo': { label: '↩ Looper Undo', run: () => undoLoopLayer() },
+};
+
+// gestures: [{ id, name, samples: [[...]] }]. A new gesture's binding lives in gestureMappings and
+// is saved alongside it. A gesture whose id is a built-in gesture (e.g. 'peace') retrains that pose
+// and keeps its binding.
+const customGestureSet = {
+    gestures: [],
+    useBuiltins: true,
+    tolerance: 0.2,
+};
+
+// { target, name, binding, phase: 'countdown'|'capturing', until, samples }. The gesture and its binding
+// are only added once the capture ends with samples, so an abandoned capture leaves nothing behind.
+let gestureCapture = null;
+
+// Wrist at the origin, scaled by palm length so distance to the camera doesn't matter.
+// Orientation is kept on purpose: thumbs up and thumbs down differ only by it.
+function normalizeLandmarks(landmarks) {
+    const wrist = landmarks[0];
+    const middleMcp = landmarks[9];
+    const palmSize = Math.hypot(
+        middleMcp.x - wrist.x,
+        middleMcp.y - wrist.y,
+        (middleMcp.z || 0) - (wrist.z || 0)
+    ) || 1;
+    const vector = [];
+    for (const p of landmarks) {
+        vector.push(
+            (p.x - wrist.x) / palmSize,
+            (p.y - wrist.y) / palmSize,
+            ((p.z || 0) - (wrist.z || 0)) / palmSize
+        );
+    }
+    return vector;
+}
+
+// Root-mean-square distance per coordinate, so the tolerance doesn't depend on vector length
+function landmarkDistance(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) {
+        const d = a[i] - b[i];
+        sum += d * d;
+    }
+    return Math.sqrt(sum / a.length);
+}
+
+// k-nearest-neighbour vote over every trained sample; null when nothing is close enough
+function classifyCustomGesture(landmarks) {
+    const vector = normalizeLandmarks(landmarks);
+    const neighbours = [];
+    for (const gesture of customGestureSet.gestures) {
+        for (const sample of gesture.samples) {
+            neighbours.push({ id: gesture.id, distance: landmarkDistance(vector, sample) });
+        }
+    }
+    if (neighbours.length === 0) return null;
+
+    neighbours.sort((a, b) => a.distance - b.distance);
+    const nearest = neighbours.slice(0, CUSTOM_GESTURE_K).filter(n => n.distance <= customGestureSet.tolerance);
+    if (nearest.length === 0) return null;
+
+    const votes = {};
+    for (const n of nearest) {
+        votes[n.id] = (votes[n.id] || 0) + 1 / (n.distance + 1e-6);
+    }
+    let best = null;
+    for (const [id, score] of Object.entries(votes)) {
+        if (!best || score > best.score) best = { id, score };
+    }
+    return { gesture: best.id, distance: nearest.find(n => n.id === best.id).distance };
+}
+
+// Trained gestures take priority; built-in heuristics are the fallback unless switched off
+function recognizeGesture(landmarks, handState = null) {
+    if (!landmarks || landmarks.length < 21) return null;
+    const match = classifyCustomGesture(landmarks);
+    if (match) return match.gesture;
+    return customGestureSet.useBuiltins ? getHandGesture(landmarks, handState) : null;
+}
+
+function findCustomGesture(id) {
+    return customGestureSet.gestures.find(g => g.id === id) || null;
+}
+
+function isBuiltinGesture(id) {
+    return GESTURE_ORDER.includes(id);
+}
+
+// Play or run whatever a recognized gesture is bound to
+function triggerGesture(gesture, hand) {
+    if (handleControlGesture(gesture, hand)) return;
+    const binding = getGestureBinding(gesture);
+    if (!binding) return;
+    captureHandExpression(hand);
+    if (binding.type === 'action') {
+        console.log('Gesture action:', gesture, binding.action);
+        customGestureActions[binding.action].run(hand);
+        return;
+    }
+    playGestureSound(gesture, hand);
+}
+
+function slugify(name) {
+    return name.toLowerCase().trim().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'gesture';
+}
+
+function saveCustomGestures() {
+    try {
+        localStorage.setItem(CUSTOM_GESTURE_STORAGE_KEY, JSON.stringify(serializeCustomGestures()));
+    } catch (err) {
+        console.warn('Could not save custom gestures:', err);
+    }
+}
+
+function serializeCustomGestures() {
+    return {
+        version: CUSTOM_GESTURE_VERSION,
+        useBuiltins: customGestureSet.useBuiltins,
+        tolerance: customGestureSet.tolerance,
+        gestures: customGestureSet.gestures.map(g => ({
+            id: g.id,
+            name: g.name,
+            binding: isBuiltinGesture(g.id) ? null : getGestureBinding(g.id),
+            // three decimals is plenty and keeps exports small
+            samples: g.samples.map(sample => sample.map(v => Math.round(v * 1000) / 1000)),
+        })),
+    };
+}
+
+function loadCustomGestureData(data) {
+    if (!data || !Array.isArray(data.gestures)) {
+        throw new Error('Not a custom gesture set');
+    }
+    // remove mappings for gestures that are about to be replaced
+    for (const gesture of customGestureSet.gestures) {
+        if (!isBuiltinGesture(gesture.id)) delete gestureMappings[gesture.id];
+    }
+    const gestures = data.gestures.filter(g => g && g.id && Array.isArray(g.samples));
+    customGestureSet.gestures = gestures.map(g => ({
+        id: String(g.id),
+        name: String(g.name || g.id),
+        samples: g.samples.filter(s => Array.isArray(s) && s.length === 63),
+    }));
+    for (const g of gestures) {
+        if (isBuiltinGesture(String(g.id))) continue;
+        let binding = g.binding;
+        if (!(data.version >= 2) && binding && binding.type === 'note') binding = { type: 'pattern', note: binding.note };
+        gestureMappings[String(g.id)] = normalizeGestureBinding(binding);
+    }
+    if (typeof data.useBuiltins === 'boolean') customGestureSet.useBuiltins = data.useBuiltins;
+    if (typeof data.tolerance === 'number') customGestureSet.tolerance = data.tolerance;
+    refreshGestureMappings();
+}
+
+function loadStoredCustomGestures() {
+    try {
+        const stored = localStorage.getItem(CUSTOM_GESTURE_STORAGE_KEY);
+        if (stored) loadCustomGestureData(JSON.parse(stored));
+    } catch (err) {
+        console.warn('Could not load custom gestures:', err);
+    }
+}
+
+function deleteCustomGesture(id) {
+    customGestureSet.gestures = customGestureSet.gestures.filter(g => g.id !== id);
+    if (!isBuiltinGesture(id)) delete gestureMappings[id];
+    saveCustomGestures();
+    refreshGestureMappings();
+}
+
+// Ids come from the name; names that slugify alike (or to nothing, like "手" and "拳") get a counter
+function createCustomGestureId(name) {
+    const base = `custom_${slugify(name)}`;
+    let id = base;
+    for (let n = 2; findCustomGesture(id) || gestureMappings[id]; n++) id = `${base}_${n}`;
+    return id;
+}
+
+// Start a capture: a countdown to get into pose, then samples from the first hand in view
+function startGestureCapture(target, name, binding) {
+    if (target === 'new' && !name) {
+        setCustomGestureStatus('Enter a name for the new gesture');
+        return;
+    }
+
+    gestureCapture = {
+        target,
+        name: target === 'new' ? name : gestureInfo[target].name,
+        binding,
+        phase: 'countdown',
+        until: performance.now() + CAPTURE_COUNTDOWN_MS,
+        samples: [],
+    };
+    setCustomGestureStatus(`Get ready to hold "${gestureCapture.name}"...`);
+}
+
+// Samples for a new name go to a fresh gesture; capturing an existing name adds to it
+function finishGestureCapture(capture) {
+    let gesture;
+    if (capture.target === 'new') {
+        gesture = customGestureSet.gestures.find(g => g.name === capture.name && !isBuiltinGesture(g.id));
+        if (!gesture) {
+            gesture = { id: createCustomGestureId(capture.name), name: capture.name, samples: [] };
+            customGestureSet.gestures.push(gesture);
+        }
+        gestureMappings[gesture.id] = capture.binding;
+    } else {
+        gesture = findCustomGesture(capture.target);
+        if (!gesture) {
+            gesture = { id: capture.target, name: capture.name, samples: [] };
+            customGestureSet.gestures.push(gesture);
+        }
+    }
+    gesture.samples.push(...capture.samples);
+    saveCustomGestures();
+    refreshGestureMappings();
+}
+
+// Called from onHandsResults with the first hand in view; returns true while a capture is running
+function updateGestureCapture(landmarks, frameTime) {
+    if (!gestureCapture) return false;
+    const { name } = gestureCapture;
+
+    if (gestureCapture.phase === 'countdown') {
+        const remaining = Math.ceil((gestureCapture.until - frameTime) / 1000);
+        if (remaining > 0) {
+            setCustomGestureStatus(`Hold "${name}" in ${remaining}...`);
+            return true;
+        }
+        gestureCapture.phase = 'capturing';
+        gestureCapture.until = frameTime + CAPTURE_DURATION_MS;
+    }
+
+    if (landmarks) gestureCapture.samples.push(normalizeLandmarks(landmarks));
+    setCustomGestureStatus(`Capturing "${name}": ${gestureCapture.samples.length} samples`);
+
+    if (frameTime >= gestureCapture.until) {
+        const capture = gestureCapture;
+        gestureCapture = null;
+        if (capture.samples.length === 0) {
+            setCustomGestureStatus(`No hand seen, nothing captured for "${name}"`);
+        } else {
+            finishGestureCapture(capture);
+            setCustomGestureStatus(`Captured ${capture.samples.length} samples for "${name}"`);
+        }
+    }
+    return true;
+}
+
+function setCustomGestureStatus(text) {
+    const status = document.getElementById('customGestureStatus');
+    if (status) status.textContent = text;
+}
+
+function renderCustomGestureBindingOptions() {
+    const bindingSelect = document.getElementById('customGestureBinding');
+    if (!bindingSelect) return;
+    const previous = bindingSelect.value;
+    bindingSelect.innerHTML = '';
+
+    const notes = document.createElement('optgroup');
+    notes.label = 'Note';
+    for (const note of musicScale) {
+        notes.appendChild(new Option(note, `note:${note}`));
+    }
+    const actions = document.createElement('optgroup');
+    actions.label = 'Action';
+    for (const [id, action] of Object.entries(customGestureActions)) {
+        actions.appendChild(new Option(action.label, `action:${id}`));
+    }
+    bindingSelect.append(notes, actions);
+    if (Array.from(bindingSelect.options).some(o => o.value === previous)) bindingSelect.value = previous;
+}
+
+function renderCustomGestures() {
+    const list = document.getElementById('customGestureList');
+    if (!list) return;
+    list.innerHTML = '';
+    for (const gesture of customGestureSet.gestures) {
+        const li = document.createElement('li');
+        const label = isBuiltinGesture(gesture.id)
+            ? `${gestureLabels[gesture.id]} (retrained)`
+            : gestureLabels[gesture.id];
+        li.textContent = `${label} · ${gesture.samples.length} samples `;
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'link-btn';
+        deleteBtn.textContent = 'Delete';
+        deleteBtn.addEventListener('click', () => deleteCustomGesture(gesture.id));
+        li.appendChild(deleteBtn);
+        list.appendChild(li);
+    }
+    // the pad grid mirrors the gesture list
+    renderPerformancePads();
+}
+
+function parseBindingValue(value) {
+    if (!value) return null;
+    const [type, ...rest] = value.split(':');
+    const target = rest.join(':');
+    return type === 'note' ? { type: 'pattern', note: target } : { type: 'action', action: target };
+}
+
+function initCustomGestureControls() {
+    const targetSelect = document.getElementById('customGestureTarget');
+    const nameInput = document.getElementById('customGestureName');
+    const bindingSelect = document.getElementById('customGestureBinding');
+    const captureBtn = document.getElementById('customGestureCaptureBtn');
+    const builtinsInput = document.getElementById('customGestureUseBuiltins');
+    const toleranceInput = document.getElementById('customGestureTolerance');
+    const exportBtn = document.getElementById('customGestureExportBtn');
+    const importBtn = document.getElementById('customGestureImportBtn');
+    const importInput = document.getElementById('customGestureImportInput');
+
+    loadStoredCustomGestures();
+    if (!targetSelect) return;
+
+    targetSelect.add(new Option('New gesture', 'new'));
+    for (const id of GESTURE_ORDER) {
+        targetSelect.add(new Option(`Retrain ${gestureInfo[id].emoji} ${gestureInfo[id].name}`, id));
+    }
+    renderCustomGestureBindingOptions();
+
+    targetSelect.addEventListener('change', () => {
+        const isNew = targetSelect.value === 'new';
+        if (nameInput) nameInput.disabled = !isNew;
+        if (bindingSelect) bindingSelect.disabled = !isNew;
+    });
+    if (captureBtn) {
+        captureBtn.addEventListener('click', () => {
+            startGestureCapture(
+                targetSelect.value,
+                nameInput ? nameInput.value.trim() : '',
+                parseBindingValue(bindingSelect && bindingSelect.value)
+            );
+        });
+    }
+    if (builtinsInput) {
+        builtinsInput.checked = customGestureSet.useBuiltins;
+        builtinsInput.addEventListener('change', () => {
+            customGestureSet.useBuiltins = builtinsInput.checked;
+            saveCustomGestures();
+        });
+    }
+    if (toleranceInput) {
+        toleranceInput.value = String(customGestureSet.tolerance);
+        toleranceInput.addEventListener('input', () => {
+            customGestureSet.tolerance = parseFloat(toleranceInput.value);
+            saveCustomGestures();
+        });
+    }
+    if (exportBtn) {
+        exportBtn.addEventListener('click', () => {
+            const json = JSON.stringify(serializeCustomGestures(), null, 2);
+            downloadBlob(new Blob([json], { type: 'application/json' }), 'custom-gestures.json');
+        });
+    }
+    if (importBtn && importInput) {
+        importBtn.addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', async () => {
+            const file = importInput.files[0];
+            importInput.value = '';
+            if (!file) return;
+            try {
+                loadCustomGestureData(JSON.parse(await file.text()));
+                saveCustomGestures();
+                renderCustomGestures();
+                if (builtinsInput) builtinsInput.checked = customGestureSet.useBuiltins;
+                if (toleranceInput) toleranceInput.value = String(customGestureSet.tolerance);
+                setCustomGestureStatus(`Imported ${customGestureSet.gestures.length} gestures`);
+            } catch (err) {
+                console.error('Error importing custom gestures:', err);
+                setCustomGestureStatus(`Import failed: ${err.message}`);
+            }
+        });
+    }
+    renderCustomGestures();
+}
+
+function syncCustomGestureControls() {
+    const builtinsInput = document.getElementById('customGestureUseBuiltins');
+    const toleranceInput = document.getElementById('customGestureTolerance');
+    if (builtinsInput) builtinsInput.checked = customGestureSet.useBuiltins;
+    if (toleranceInput) toleranceInput.value = String(customGestureSet.tolerance);
+    renderCustomGestures();
+}
+
+onScaleChange(renderCustomGestureBindingOptions);
+onGestureMappingChange(renderCustomGestures);
+
+initCustomGestureControls();
+
+// ============================================
+// Chord Mode & Two-Hand Combos
+// ============================================
+// In chord mode a gesture plays the diatonic chord built on its scale degree instead of a sequence.
+// Combos map a left-hand pose plus a right-hand pose to their own chord or action; while a combo
+// is held, the two hands don't trigger their individual sounds.
+const CHORD_VOICINGS = {
+    'close': 'Close',
+    'open': 'Open',
+    'drop2': 'Drop 2',
+    'spread': 'Spread (bass down)',
+};
+
+const ROMAN_NUMERALS = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII', 'VIII', 'IX'];
+
+const chordSettings = {
+    enabled: false,
+    size: 3,            // 3 = triad, 4 = seventh
+    voicing: 'close',
+    inversion: 0,
+    length: '2n',
+};
+
+// [{ id, left, right, binding: { type: 'chord', degree } | { type: 'action', action } }]
+let handCombos = [];
+let nextComboId = 1;
+let activeComboId = null;
+const HAND_COMBO_WINDOW_MS = 250;
+// hand -> { gesture, since }: a pose waiting to see whether the other hand completes a combo
+let pendingComboGestures = {};
+
+// MIDI notes of the chord on a scale degree, stacked in scale thirds before inversion/voicing
+function getChordMidi(degree, options = chordSettings) {
+    const size = options.size || 3;
+    let midis = [];
+    for (let i = 0; i < size; i++) {
+        midis.push(noteToMidi(scaleDegreeToNote(degree + i * 2)));
+    }
+
+    const inversion = Math.max(0, Math.min(size - 1, options.inversion || 0));
+    for (let i = 0; i < inversion; i++) {
+        midis.push(midis.shift() + 12);
+    }
+
+    if (options.voicing === 'open' && midis.length >= 3) {
+        midis[1] += 12;
+    } else if (options.voicing === 'drop2' && midis.length >= 3) {
+        midis[midis.length - 2] -= 12;
+    } else if (options.voicing === 'spread') {
+        midis[0] -= 12;
+    }
+    return midis.sort((a, b) => a - b);
+}
+
+function getChordNotes(degree, options = chordSettings) {
+    const { useFlats } = resolveScale();
+    return getChordMidi(degree, options).map(midi => midiToNote(midi, useFlats));
+}
+
+// Roman numeral with quality, e.g. "ii", "V7", "vii°"
+function getChordName(degree, size = chordSettings.size) {
+    const degreesPerOctave = resolveScale().intervals.length;
+    const root = noteToMidi(scaleDegreeToNote(degree));
+    const third = noteToMidi(scaleDegreeToNote(degree + 2)) - root;
+    const fifth = noteToMidi(scaleDegreeToNote(degree + 4)) - root;
+    const index = ((degree % degreesPerOctave) + degreesPerOctave) % degreesPerOctave;
+    const numeral = ROMAN_NUMERALS[index] || String(index + 1);
+    let name = third === 3 ? numeral.toLowerCase() : numeral;
+    if (fifth === 6) name += '°';
+    if (fifth === 8) name += '+';
+    if (size >= 4) name += '7';
+    return name;
+}
+
+// All chord tones start together on the next quantize point
+async function playChord(notes, hand = null, gesture = null) {
+    try {
+        await ensureTransportRunning();
+        const lengthTicks = Tone.Time(chordSettings.length).toTicks();
+        const velocity = getHandVelocity(hand);
+        Tone.Transport.scheduleOnce((time) => {
+            for (const note of notes) playSequenceNote(note, lengthTicks, time, hand, gesture, velocity);
+        }, `${getSequenceStartTicks()}i`);
+    } catch (error) {
+        console.error('Error playing chord:', error);
+    }
+}
+
+function findHandCombo(left, right) {
+    if (!left || !right) return null;
+    return handCombos.find(combo => combo.left === left && combo.right === right) || null;
+}
+
+function triggerHandCombo(combo) {
+    const binding = combo.binding;
+    console.log('Combo:', combo.left, '+', combo.right, binding);
+    if (binding.type === 'action') {
+        const action = customGestureActions[binding.action];
+        if (action) action.run();
+    } else if (binding.type === 'chord') {
+        playChord(getChordNotes(binding.degree));
+    }
+}
+
+// Called once per frame with the stable gesture of the combo's left and right hand.
+// Returns the combo being held, if any.
+function updateHandCombos(leftGesture, rightGesture) {
+    const combo = findHandCombo(leftGesture, rightGesture);
+    if (!combo) {
+        activeComboId = null;
+        return null;
+    }
+    if (combo.id !== activeComboId) {
+        activeComboId = combo.id;
+        triggerHandCombo(combo);
+    }
+    return combo;
+}
+
+// Which tracked hands play a combo's left and right side: normally the 'left' and 'right' ids,
+// but when both hands got the same label ('left' + 'hand3') the pair is split by palm position
+function getComboHands() {
+    const tracks = handTracker.tracks;
+    const hands = tracks.map(track => track.hand);
+    if (hands.includes('left') && hands.includes('right')) return { left: 'left', right: 'right' };
+    if (tracks.length !== 2) return null;
+    const [first, second] = [...tracks].sort((a, b) => a.x - b.x);
+    // in a mirrored view the right hand is on the right (see detectHandedness)
+    return mediaPipeSettings.selfieMode
+        ? { left: first.hand, right: second.hand }
+        : { left: second.hand, right: first.hand };
+}
+
+// A newly stable pose that is one side of a combo holds its own sound for up to
+// HAND_COMBO_WINDOW_MS while the other hand is in view, so the combo can replace it
+function shouldWaitForCombo(hand, gesture, comboHands, now) {
+    if (!comboHands || (hand !== comboHands.left && hand !== comboHands.right)) return false;
+    const side = hand === comboHands.left ? 'left' : 'right';
+    if (!handCombos.some(combo => combo[side] === gesture)) return false;
+    const pending = pendingComboGestures[hand];
+    if (!pending || pending.gesture !== gesture) {
+        pendingComboGestures[hand] = { gesture, since: now };
+        return true;
+    }
+    return now - pending.since < HAND_COMBO_WINDOW_MS;
+}
+
+function describeComboBinding(binding) {
+    if (binding.type === 'action') {
+        const action = customGestureActions[binding.action];
+        return action ? action.label : binding.action;
+    }
+    return `🎶 ${getChordName(binding.degree)} (${getChordNotes(binding.degree).map(formatNoteLabel).join(' ')})`;
+}
+
+function addHandCombo(left, right, binding) {
+    // one binding per pose pair
+    handCombos = handCombos.filter(combo => !(combo.left === left && combo.right === right));
+    handCombos.push({ id: nextComboId++, left, right, binding });
+    renderHandCombos();
+}
+
+function removeHandCombo(id) {
+    handCombos = handCombos.filter(combo => combo.id !== id);
+    if (activeComboId === id) activeComboId = null;
+    renderHandCombos();
+}
+
+function parseComboBindingValue(value) {
+    if (!value) return null;
+    const [type, rest] = value.split(/:(.*)/s);
+    if (type === 'chord') return { type: 'chord', degree: parseInt(rest, 10) };
+    if (type === 'action') return { type: 'action', action: rest };
+    return null;
+}
+
+function renderComboBindingOptions() {
+    const select = document.getElementById('comboBinding');
+    if (!select) return;
+    const current = select.value;
+    select.innerHTML = '';
+    const degreesPerOctave = resolveScale().intervals.length;
+    for (let degree = 0; degree < degreesPerOctave; degree++) {
+        select.add(new Option(describeComboBinding({ type: 'chord', degree }), `chord:${degree}`));
+    }
+    for (const [key, action] of Object.entries(customGestureActions)) {
+        select.add(new Option(action.label, `action:${key}`));
+    }
+    if (current) select.value = current;
+}
+
+// Either side of a combo can be any gesture a pad can play, trained ones included
+function renderComboGestureOptions() {
+    for (const select of [document.getElementById('comboLeft'), document.getElementById('comboRight')]) {
+        if (!select) continue;
+        const current = select.value;
+        select.innerHTML = '';
+        for (const id of getPadGestures()) select.add(new Option(getGestureName(id), id));
+        if (current && Array.from(select.options).some(o => o.value === current)) select.value = current;
+    }
+}
+
+function renderHandCombos() {
+    const list = document.getElementById('comboList');
+    if (!list) return;
+    list.innerHTML = '';
+    for (const combo of handCombos) {
+        const li = document.createElement('li');
+        li.textContent = `${getGestureName(combo.left)} + ${getGestureName(combo.right)} → ${describeComboBinding(combo.binding)} `;
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'link-btn';
+        removeBtn.textContent = 'Remove';
+        removeBtn.addEventListener('click', () => removeHandCombo(combo.id));
+        li.appendChild(removeBtn);
+        list.appendChild(li);
+    }
+}
+
+function syncChordControls() {
+    const enabledInput = document.getElementById('chordEnabled');
+    if (enabledInput) enabledInput.checked = chordSettings.enabled;
+    const values = {
+        chordSize: chordSettings.size,
+        chordVoicing: chordSettings.voicing,
+        chordInversion: chordSettings.inversion,
+        chordLength: chordSettings.length,
+    };
+    for (const [id, value] of Object.entries(values)) {
+        const el = document.getElementById(id);
+        if (el) el.value = String(value);
+    }
+    renderHandCombos();
+}
+
+function initChordControls() {
+    const enabledInput = document.getElementById('chordEnabled');
+    const sizeSelect = document.getElementById('chordSize');
+    const voicingSelect = document.getElementById('chordVoicing');
+    const inversionSelect = document.getElementById('chordInversion');
+    const lengthSelect = document.getElementById('chordLength');
+    const leftSelect = document.getElementById('comboLeft');
+    const rightSelect = document.getElementById('comboRight');
+    const addBtn = document.getElementById('comboAddBtn');
+
+    if (voicingSelect) {
+        for (const [key, name] of Object.entries(CHORD_VOICINGS)) voicingSelect.add(new Option(name, key));
+    }
+    renderComboGestureOptions();
+    renderComboBindingOptions();
+    syncChordControls();
+
+    if (enabledInput) {
+        enabledInput.addEventListener('change', () => {
+            chordSettings.enabled = enabledInput.checked;
+        });
+    }
+    if (sizeSelect) {
+        sizeSelect.addEventListener('change', () => {
+            chordSettings.size = parseInt(sizeSelect.value, 10);
+            renderComboBindingOptions();
+            renderHandCombos();
+        });
+    }
+    if (voicingSelect) {
+        voicingSelect.addEventListener('change', () => {
+            chordSettings.voicing = voicingSelect.value;
+            renderComboBindingOptions();
+            renderHandCombos();
+        });
+    }
+    if (inversionSelect) {
+        inversionSelect.addEventListener('change', () => {
+            chordSettings.inversion = parseInt(inversionSelect.value, 10);
+            renderComboBindingOptions();
+            renderHandCombos();
+        });
+    }
+    if (lengthSelect) {
+        lengthSelect.addEventListener('change', () => {
+            chordSettings.length = lengthSelect.value;
+        });
+    }
+    if (addBtn && leftSelect && rightSelect) {
+        addBtn.addEventListener('click', () => {
+            const binding = parseComboBindingValue(document.getElementById('comboBinding').value);
+            if (binding) addHandCombo(leftSelect.value, rightSelect.value, binding);
+        });
+    }
+}
+
+onScaleChange(() => {
+    renderComboBindingOptions();
+    renderHandCombos();
+});
+
+// custom gestures come and go with training
+onGestureMappingChange(() => {
+    renderComboGestureOptions();
+    renderHandCombos();
+});
+
+initChordControls();
+
+// ============================================
+// Jam Session (networked play through jam-relay.js)
+// ============================================
+// Every gesture that sounds here is also sent to the relay, and other participants' gestures come
+// back to be played on this machine. Gestures travel as the notes they produced rather than as
+// poses, so a remote player is heard with their own scale and patterns. Remote notes go through
+// the normal playback path on a hand named "jam:<id>", which gives each participant their own
+// instrument and puts their notes on the shared transport grid.
+const JAM_INSTRUMENT_ROTATION = ['fm', 'am', 'synth'];
+const JAM_CLOCK_SAMPLES = 5;
+const JAM_CLOCK_INTERVAL = 200;
+
+const jamSettings = {
+    url: 'ws://localhost:8787',
+    room: 'jam',
+    name: '',
+};
+
+const jamSession = {
+    socket: null,
+    id: null,
+    status: 'disconnected',   // 'connecting' | 'connected' | 'disconnected'
+    clockOffset: 0,           // relay clock minus performance.now(), from the best ping
+    clockRtt: Infinity,
+    participants: new Map(),  // id -> { id, name, instrument, muted }
+};
+
+function getJamHand(id) {
+    return `jam:${id}`;
+}
+
+function getJamServerTime() {
+    return performance.now() + jamSession.clockOffset;
+}
+
+function isJamConnected() {
+    return jamSession.socket !== null && jamSession.socket.readyState === WebSocket.OPEN;
+}
+
+function sendJam(message) {
+    if (!isJamConnected()) return;
+    try {
+        jamSession.socket.send(JSON.stringify(message));
+    } catch (err) {
+        console.warn('Jam send failed:', err);
+    }
+}
+
+// Called where a local gesture is played; does nothing outside a session.
+// The hand's expression goes along so remote copies are played as hard (and as fast) as ours.
+function sendJamPlay(event, hand) {
+    if (jamSession.id === null) return;
+    sendJam({ type: 'play', ...event, velocity: getHandVelocity(hand), stepScale: getHandStepScale(hand) });
+}
+
+// Tempo is shared as an anchor (a transport tick at a relay-clock time) so every client can
+// work out where the beat is now, however late it joined
+function shareJamTempo() {
+    if (jamSession.id === null) return;
+    sendJam({
+        type: 'tempo',
+        bpm: transportSettings.bpm,
+        beatsPerBar: transportSettings.beatsPerBar,
+        anchorTime: getJamServerTime(),
+        anchorTicks: Tone.Transport.ticks,
+    });
+}
+
+async function applyJamTempo(tempo) {
+    if (!tempo || !Number.isFinite(tempo.bpm)) return;
+    transportSettings.bpm = Math.max(30, Math.min(300, tempo.bpm));
+    Tone.Transport.bpm.value = transportSettings.bpm;
+    if (Number.isFinite(tempo.beatsPerBar)) {
+        transportSettings.beatsPerBar = tempo.beatsPerBar;
+        Tone.Transport.timeSignature = tempo.beatsPerBar;
+    }
+    await ensureTransportRunning();
+    const elapsed = (getJamServerTime() - tempo.anchorTime) / 1000;
+    const ticks = tempo.anchorTicks + elapsed * (transportSettings.bpm / 60) * Tone.Transport.PPQ;
+    if (Number.isFinite(ticks) && ticks >= 0) {
+        Tone.Transport.ticks = Math.round(ticks);
+    }
+    syncTransportControls();
+    renderLooper();
+}
+
+function addJamParticipant(participant) {
+    const id = participant.id;
+    const instrument = JAM_INSTRUMENT_ROTATION[id % JAM_INSTRUMENT_ROTATION.length];
+    jamSession.participants.set(id, { id, name: participant.name, instrument, muted: false });
+    remoteHandInstruments[getJamHand(id)] = instrument;
+}
+
+function removeJamParticipant(id) {
+    const hand = getJamHand(id);
+    releaseHeldNotes(hand);
+    delete remoteHandInstruments[hand];
+    delete handExpression[hand];
+    jamSession.participants.delete(id);
+}
+
+function setJamParticipantInstrument(id, instrument) {
+    const participant = jamSession.participants.get(id);
+    if (!participant || !INSTRUMENTS[instrument]) return;
+    participant.instrument = instrument;
+    remoteHandInstruments[getJamHand(id)] = instrument;
+}
+
+function setJamParticipantMuted(id, muted) {
+    const participant = jamSession.participants.get(id);
+    if (!participant) return;
+    participant.muted = muted;
+    if (muted) releaseHeldNotes(getJamHand(id));
+}
+
+function playJamEvent(message) {
+    const participant = jamSession.participants.get(message.from);
+    if (!participant || participant.muted) return;
+    const hand = getJamHand(participant.id);
+    handExpression[hand] = {
+        velocity: Number.isFinite(message.velocity) ? clamp01(message.velocity) : 1,
+        stepScale: RATE_STEP_SCALES.includes(message.stepScale) ? message.stepScale : 1,
+    };
+    if (message.kind === 'sequence' && Array.isArray(message.steps)) {
+        playNoteSequence(message.steps, message.step || transportSettings.stepValue, hand);
+    } else if (message.kind === 'chord' && Array.isArray(message.notes)) {
+        playChord(message.notes, hand);
+    } else if (message.kind === 'drum' && DRUM_SOUNDS[message.drum]) {
+        playDrumHit(message.drum, hand);
+    }
+}
+
+function handleJamPong(message) {
+    const now = performance.now();
+    const rtt = now - message.sent;
+    if (!(rtt >= 0) || rtt >= jamSession.clockRtt) return;
+    jamSession.clockRtt = rtt;
+    jamSession.clockOffset = message.serverTime + rtt / 2 - now;
+}
+
+function handleJamMessage(message) {
+    switch (message.type) {
+        case 'welcome':
+            jamSession.id = message.id;
+            jamSession.status = 'connected';
+            for (const participant of message.participants || []) addJamParticipant(participant);
+            // the first one in sets the room's tempo
+            if (message.tempo) applyJamTempo(message.tempo);
+            else shareJamTempo();
+            break;
+        case 'pong':
+            handleJamPong(message);
+            return;
+        case 'join':
+            addJamParticipant(message.participant);
+            break;
+        case 'leave':
+            removeJamParticipant(message.id);
+            break;
+        case 'tempo':
+            applyJamTempo(message);
+            break;
+        case 'play':
+            playJamEvent(message);
+            return;
+        default:
+            return;
+    }
+    renderJamSession();
+}
+
+function measureJamClock() {
+    const ping = () => sendJam({ type: 'ping', sent: performance.now() });
+    ping();
+    for (let i = 1; i < JAM_CLOCK_SAMPLES; i++) setTimeout(ping, i * JAM_CLOCK_INTERVAL);
+}
+
+async function connectJam() {
+    if (jamSession.socket) return;
+    // joining happens on a click, which is also our chance to start audio
+    await ensureTransportRunning();
+
+    const url = `${jamSettings.url.replace(/\/+$/, '')}/${encodeURIComponent(jamSettings.room || 'jam')}`;
+    let socket;
+    try {
+        socket = new WebSocket(url);
+    } catch (err) {
+        console.error('Jam connection failed:', err);
+        jamSession.status = 'disconnected';
+        renderJamSession(`Can't connect to ${url}`);
+        return;
+    }
+    jamSession.socket = socket;
+    jamSession.status = 'connecting';
+    jamSession.clockRtt = Infinity;
+    renderJamSession();
+
+    socket.addEventListener('open', () => {
+        // the first pong arrives before the welcome, so the clock is usable by then
+        measureJamClock();
+        sendJam({ type: 'hello', name: jamSettings.name || 'Player' });
+    });
+    socket.addEventListener('message', (event) => {
+        let message;
+        try {
+            message = JSON.parse(event.data);
+        } catch (err) {
+            console.warn('Ignoring malformed jam message:', err);
+            return;
+        }
+        handleJamMessage(message);
+    });
+    socket.addEventListener('close', () => {
+        if (jamSession.socket !== socket) return;
+        resetJamSession();
+        renderJamSession('Disconnected');
+    });
+    socket.addEventListener('error', () => {
+        console.warn('Jam connection error:', url);
+    });
+}
+
+function resetJamSession() {
+    for (const id of [...jamSession.participants.keys()]) removeJamParticipant(id);
+    jamSession.socket = null;
+    jamSession.id = null;
+    jamSession.status = 'disconnected';
+}
+
+function disconnectJam() {
+    const socket = jamSession.socket;
+    resetJamSession();
+    if (socket) socket.close();
+    renderJamSession('Disconnected');
+}
+
+function renderJamSession(message = null) {
+    const connectBtn = document.getElementById('jamConnectBtn');
+    if (connectBtn) {
+        connectBtn.textContent = jamSession.status === 'disconnected' ? '🌐 Join Jam' : '⏹ Leave Jam';
+    }
+    for (const id of ['jamUrl', 'jamRoom', 'jamName']) {
+        const input = document.getElementById(id);
+        if (input) input.disabled = jamSession.status !== 'disconnected';
+    }
+
+    const status = document.getElementById('jamStatus');
+    if (status) {
+        if (message) status.textContent = message;
+        else if (jamSession.status === 'connecting') status.textContent = 'Connecting...';
+        else if (jamSession.status === 'connected') {
+            const count = jamSession.participants.size;
+            status.textContent = `In "${jamSettings.room}" with ${count} other${count === 1 ? '' : 's'}`;
+        } else status.textContent = '';
+    }
+
+    const list = document.getElementById('jamParticipants');
+    if (!list) return;
+    list.innerHTML = '';
+    for (const participant of jamSession.participants.values()) {
+        const li = document.createElement('li');
+        li.textContent = `${participant.name} `;
+
+        const select = document.createElement('select');
+        for (const [id, instrument] of Object.entries(INSTRUMENTS)) {
+            if (instrument.kind === 'melodic') select.add(new Option(instrument.name, id));
+        }
+        select.value = participant.instrument;
+        select.addEventListener('change', () => setJamParticipantInstrument(participant.id, select.value));
+        li.appendChild(select);
+
+        const muteLabel = document.createElement('label');
+        muteLabel.className = 'checkbox-label';
+        const muteInput = document.createElement('input');
+        muteInput.type = 'checkbox';
+        muteInput.checked = participant.muted;
+        muteInput.addEventListener('change', () => setJamParticipantMuted(participant.id, muteInput.checked));
+        muteLabel.append(muteInput, ' Mute');
+        li.appendChild(muteLabel);
+
+        list.appendChild(li);
+    }
+}
+
+function initJamControls() {
+    const inputs = { jamUrl: 'url', jamRoom: 'room', jamName: 'name' };
+    for (const [id, key] of Object.entries(inputs)) {
+        const input = document.getElementById(id);
+        if (!input) continue;
+        input.value = jamSettings[key];
+        input.addEventListener('change', () => {
+            jamSettings[key] = input.value.trim();
+        });
+    }
+    const connectBtn = document.getElementById('jamConnectBtn');
+    if (connectBtn) {
+        connectBtn.addEventListener('click', () => {
+            if (jamSession.status === 'disconnected') connectJam();
+            else disconnectJam();
+        });
+    }
+    renderJamSession();
+}
+
+initJamControls();
+
+// ============================================
+// Training Mode (rhythm game)
+// ============================================
+// A chart of target gestures scrolls towards a hit line; starting the right pose with the right
+// hand inside the timing window scores the target. Targets are judged on the raw recognizer output
+// (before the stabilizer) so its few frames of delay don't count against the player. Afterwards,
+// per-gesture stats show which poses were missed, late, or mistaken for another (summarized by
+// training.js).
+// Song files are JSON: { "name", "bpm", "targets": [{ "beat", "gesture", "hand" }] }, where hand is
+// 'left', 'right' or 'any' (the default) and beats count from the end of the lead-in.
+const TRAINING_WINDOW = 0.3;   // seconds either side of a target that still count
+const TRAINING_JUDGEMENTS = [
+    { name: 'Perfect', within: 0.08, points: 300 },
+    { name: 'Great', within: 0.16, points: 200 },
+    { name: 'Good', within: TRAINING_WINDOW, points: 100 },
+];
+const TRAINING_LEAD_IN_BEATS = 4;
+const TRAINING_CHART_SECONDS = 4;   // how far ahead the chart shows
+const TRAINING_LANES = { left: 0.25, any: 0.5, right: 0.75 };
+
+const TRAINING_SONGS = {
+    'poses': {
+        name: 'All eight poses',
+        bpm: 60,
+        targets: GESTURE_ORDER.map((gesture, i) => ({ beat: i * 2, gesture, hand: 'any' })),
+    },
+    'hands': {
+        name: 'Left, right',
+        bpm: 60,
+        targets: GESTURE_ORDER.map((gesture, i) => ({ beat: i * 2, gesture, hand: i % 2 ? 'right' : 'left' })),
+    },
+    'mixed': {
+        name: 'Mixed up (faster)',
+        bpm: 90,
+        targets: ['rock', 'peace', 'palm', 'ok', 'point', 'thumbs_down', 'thumbs_up', 'point_camera',
+            'peace', 'ok', 'rock', 'thumbs_up', 'palm', 'point_camera', 'point', 'thumbs_down']
+            .map((gesture, i) => ({ beat: i * 2, gesture, hand: 'any' })),
+    },
+};
+
+let trainingSong = TRAINING_SONGS.poses;
+let loadedTrainingSong = null;
+let trainingGame = null;     // the run in progress
+let trainingResults = null;  // stats from the last finished run
+
+function parseTrainingSong(text) {
+    const song = JSON.parse(text);
+    if (!song || !Array.isArray(song.targets)) throw new Error('Not a training song');
+    const targets = song.targets
+        .filter(t => t && Number.isFinite(t.beat) && t.beat >= 0 && gestureInfo[t.gesture])
+        .map(t => ({ beat: t.beat, gesture: t.gesture, hand: t.hand in TRAINING_LANES ? t.hand : 'any' }));
+    if (targets.length === 0) throw new Error('Song has no playable targets');
+    return {
+        name: typeof song.name === 'string' && song.name ? song.name : 'Loaded song',
+        bpm: Number.isFinite(song.bpm) ? Math.max(30, Math.min(300, song.bpm)) : transportSettings.bpm,
+        targets,
+    };
+}
+
+function getTrainingClock() {
+    return performance.now() / 1000;
+}
+
+function getTrainingJudgement(offset) {
+    return TRAINING_JUDGEMENTS.find(j => Math.abs(offset) <= j.within) || null;
+}
+
+function startTraining(song = trainingSong) {
+    if (trainingGame) stopTraining();
+    const beat = 60 / song.bpm;
+    const startTime = getTrainingClock() + TRAINING_LEAD_IN_BEATS * beat;
+    trainingGame = {
+        song,
+        startTime,
+        targets: song.targets
+            .map(t => ({ ...t, time: startTime + t.beat * beat, result: null, offset: null, playedBy: null, seen: {} }))
+            .sort((a, b) => a.time - b.time),
+        detected: {},      // hand -> last raw gesture, for spotting pose onsets
+        score: 0,
+        lastJudgement: null,
+        frameId: null,
+    };
+    trainingResults = null;
+    renderTrainingResults();
+    renderTrainingStatus();
+    trainingGame.frameId = requestAnimationFrame(tickTraining);
+}
+
+// Called once per camera frame with each hand's raw gesture (hands out of view are absent)
+function updateTrainingGame(detectedGestures, frameTime) {
+    const game = trainingGame;
+    if (!game) return;
+    const time = frameTime / 1000;
+    for (const hand of Object.keys(game.detected)) {
+        if (!(hand in detectedGestures)) game.detected[hand] = null;
+    }
+    for (const [hand, gesture] of Object.entries(detectedGestures)) {
+        const onset = gesture !== null && gesture !== game.detected[hand];
+        game.detected[hand] = gesture;
+        let claimed = false;
+        for (const target of game.targets) {
+            if (target.result !== null || Math.abs(time - target.time) > TRAINING_WINDOW) continue;
+            if (target.hand !== 'any' && target.hand !== hand) continue;
+            if (gesture !== null && gesture !== target.gesture) {
+                // remember what was shown instead, to spot poses that get confused
+                target.seen[gesture] = (target.seen[gesture] || 0) + 1;
+            }
+            // one pose onset scores one target: the earliest one still open
+            if (onset && !claimed && gesture === target.gesture) {
+                judgeTrainingTarget(target, hand, time - target.time);
+                claimed = true;
+            }
+        }
+    }
+}
+
+function judgeTrainingTarget(target, hand, offset) {
+    const judgement = getTrainingJudgement(offset);
+    target.result = judgement.name;
+    target.offset = offset;
+    target.playedBy = hand;
+    trainingGame.score += judgement.points;
+    trainingGame.lastJudgement = { text: `${judgement.name} ${formatTrainingOffset(offset)}`, good: true };
+}
+
+function tickTraining() {
+    const game = trainingGame;
+    if (!game) return;
+    const now = getTrainingClock();
+    for (const target of game.targets) {
+        if (target.result === null && now > target.time + TRAINING_WINDOW) {
+            target.result = 'Miss';
+            game.lastJudgement = { text: `Missed ${gestureInfo[target.gesture].name}`, good: false };
+        }
+    }
+    drawTrainingChart(now);
+    if (game.targets.every(t => t.result !== null)) {
+        finishTraining();
+        return;
+    }
+    game.frameId = requestAnimationFrame(tickTraining);
+}
+
+function stopTraining() {
+    if (!trainingGame) return;
+    finishTraining();
+}
+
+function finishTraining() {
+    const game = trainingGame;
+    cancelAnimationFrame(game.frameId);
+    trainingGame = null;
+    trainingResults = summarizeTraining(game);
+    drawTrainingChart(getTrainingClock(), game);
+    renderTrainingStatus();
+    renderTrainingResults();
+}
+
+function drawTrainingChart(now, game = trainingGame) {
+    const chart = document.getElementById('trainingChart');
+    const chartCtx = chart && chart.getContext('2d');
+    if (!chartCtx) return;
+    const { width, height } = chart;
+    const hitX = 60;
+    chartCtx.clearRect(0, 0, width, height);
+
+    chartCtx.strokeStyle = 'rgba(102, 126, 234, 0.25)';
+    chartCtx.lineWidth = 1;
+    for (const lane of Object.values(TRAINING_LANES)) {
+        chartCtx.beginPath();
+        chartCtx.moveTo(0, lane * height);
+        chartCtx.lineTo(width, lane * height);
+        chartCtx.stroke();
+    }
+    chartCtx.strokeStyle = '#764ba2';
+    chartCtx.lineWidth = 3;
+    chartCtx.beginPath();
+    chartCtx.moveTo(hitX, 0);
+    chartCtx.lineTo(hitX, height);
+    chartCtx.stroke();
+    if (!game) return;
+
+    chartCtx.textAlign = 'center';
+    chartCtx.textBaseline = 'middle';
+    chartCtx.font = '24px sans-serif';
+    const pixelsPerSecond = (width - hitX - 20) / TRAINING_CHART_SECONDS;
+    for (const target of game.targets) {
+        const ahead = target.time - now;
+        if (ahead < -0.5 || ahead > TRAINING_CHART_SECONDS) continue;
+        const x = hitX + ahead * pixelsPerSecond;
+        const y = TRAINING_LANES[target.hand] * height;
+        chartCtx.fillStyle = target.result === null ? 'rgba(102, 126, 234, 0.3)'
+            : target.result === 'Miss' ? 'rgba(245, 87, 108, 0.6)' : 'rgba(67, 233, 123, 0.6)';
+        chartCtx.beginPath();
+        chartCtx.arc(x, y, 18, 0, 2 * Math.PI);
+        chartCtx.fill();
+        chartCtx.fillText(gestureInfo[target.gesture].emoji, x, y);
+    }
+
+    chartCtx.font = '14px sans-serif';
+    chartCtx.textAlign = 'right';
+    chartCtx.textBaseline = 'top';
+    chartCtx.fillStyle = '#333';
+    chartCtx.fillText(`Score ${game.score}`, width - 8, 6);
+    chartCtx.textAlign = 'left';
+    if (now < game.startTime) {
+        const beatsLeft = Math.ceil((game.startTime - now) * game.song.bpm / 60);
+        chartCtx.fillText(`Get ready… ${beatsLeft}`, hitX + 10, 6);
+    } else if (game.lastJudgement) {
+        chartCtx.fillStyle = game.lastJudgement.good ? '#2e9e5b' : '#f5576c';
+        chartCtx.fillText(game.lastJudgement.text, hitX + 10, 6);
+    }
+}
+
+function renderTrainingStatus() {
+    const status = document.getElementById('trainingStatus');
+    const startBtn = document.getElementById('trainingStartBtn');
+    if (startBtn) startBtn.textContent = trainingGame ? '⏹ Stop' : '▶ Start';
+    if (!status) return;
+    if (trainingGame) {
+        status.textContent = `Playing "${trainingGame.song.name}"`;
+    } else if (trainingResults) {
+        const r = trainingResults;
+        const accuracy = r.targets ? Math.round(r.hits / r.targets * 100) : 0;
+        const hands = Object.entries(r.hands).map(([hand, s]) => `${hand} ${s.hits}/${s.targets}`).join(', ');
+        status.textContent = `Score ${r.score} · ${accuracy}% hit${hands ? ` (${hands})` : ''}`;
+    } else {
+        status.textContent = `${trainingSong.name}: ${trainingSong.targets.length} targets at ${trainingSong.bpm} BPM`;
+    }
+}
+
+function renderTrainingResults() {
+    const list = document.getElementById('trainingResults');
+    if (!list) return;
+    list.innerHTML = '';
+    if (!trainingResults) return;
+    for (const line of formatTrainingResults(trainingResults, getGestureName)) {
+        const li = document.createElement('li');
+        li.textContent = line;
+        list.appendChild(li);
+    }
+}
+
+function initTrainingControls() {
+    const songSelect = document.getElementById('trainingSong');
+    const startBtn = document.getElementById('trainingStartBtn');
+    const loadBtn = document.getElementById('trainingLoadBtn');
+    const loadInput = document.getElementById('trainingSongInput');
+
+    if (songSelect) {
+        for (const [id, song] of Object.entries(TRAINING_SONGS)) songSelect.add(new Option(song.name, id));
+        songSelect.addEventListener('change', () => {
+            trainingSong = songSelect.value === 'file' ? loadedTrainingSong : TRAINING_SONGS[songSelect.value];
+            renderTrainingStatus();
+        });
+    }
+    if (startBtn) {
+        startBtn.addEventListener('click', () => {
+            if (trainingGame) stopTraining();
+            else startTraining();
+        });
+    }
+    if (loadBtn && loadInput) {
+        loadBtn.addEventListener('click', () => loadInput.click());
+        loadInput.addEventListener('change', async () => {
+            const file = loadInput.files[0];
+            loadInput.value = '';
+            if (!file) return;
+            try {
+                loadedTrainingSong = parseTrainingSong(await file.text());
+                trainingSong = loadedTrainingSong;
+                if (songSelect) {
+                    let option = songSelect.querySelector('option[value="file"]');
+                    if (!option) {
+                        option = new Option('', 'file');
+                        songSelect.add(option);
+                    }
+                    option.textContent = `📄 ${loadedTrainingSong.name}`;
+                    songSelect.value = 'file';
+                }
+                renderTrainingStatus();
+            } catch (err) {
+                console.error('Error loading training song:', err);
+                const status = document.getElementById('trainingStatus');
+                if (status) status.textContent = `Load failed: ${err.message}`;
+            }
+        });
+    }
+    drawTrainingChart(getTrainingClock());
+    renderTrainingStatus();
+}
+
+initTrainingControls();
+
+// ============================================
+// Button Controls
+// ============================================
+document.getElementById('startBtn').addEventListener('click', async () => {
+    await Tone.start();
+    initializeHands();
+    isRunning = true;
+    try {
+        await startCamera();
+    } catch (err) {
+        console.error('Error starting camera:', err);
+        isRunning = false;
+        gestureDisplay.textContent = `Camera unavailable: ${err.message}`;
+        return;
+    }
     gestureDisplay.textContent = 'Waiting for hand...';
+    // device names are only readable once camera permission is granted
+    refreshCameraDevices();
 });
 
-document.getElementById('stopBtn').addEventListener('click', () => {
-    if (camera) {
-        camera.stop();
+function stopHandTracking() {
+    stopCamera();
+    isRunning = false;
+    stopTheremin();
+    gestureDisplay.textContent = 'Camera stopped';
+    lastPlayedGesture = null;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+}
+
+document.getElementById('stopBtn').addEventListener('click', stopHandTracking);
+
+// ============================================
+// Camera & Tracking Settings
+// ============================================
+const CAMERA_RESOLUTIONS = ['320x240', '640x480', '1280x720'];
+
+async function refreshCameraDevices() {
+    const select = document.getElementById('cameraDevice');
+    if (!select || !navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return;
+    try {
+        const devices = (await navigator.mediaDevices.enumerateDevices()).filter(d => d.kind === 'videoinput');
+        select.innerHTML = '';
+        select.add(new Option('Default camera', ''));
+        devices.forEach((device, i) => {
+            select.add(new Option(device.label || `Camera ${i + 1}`, device.deviceId));
+        });
+        select.value = devices.some(d => d.deviceId === cameraSettings.deviceId) ? cameraSettings.deviceId : '';
+    } catch (err) {
+        console.warn('Could not list cameras:', err);
+    }
+}
+
+// Camera changes take effect straight away when it's running
+async function setCameraOptions(changes) {
+    Object.assign(cameraSettings, changes);
+    if (!isRunning) return;
+    try {
+        await startCamera();
+    } catch (err) {
+        console.error('Error restarting camera:', err);
+        gestureDisplay.textContent = `Camera unavailable: ${err.message}`;
+    }
+    // the selected camera may have fallen back to the default
+    refreshCameraDevices();
+}
+
+function setAdaptiveTracking(enabled) {
+    cameraSettings.adaptive = enabled;
+    resetAdaptiveComplexity();
+    applyMediaPipeOptions();
+    renderTrackingStatus();
+}
+
+function renderTrackingStatus() {
+    const status = document.getElementById('trackingStatus');
+    if (!status) return;
+    const model = getEffectiveModelComplexity() === 0 ? 'Lite' : 'Full';
+    const parts = [`${model} model`];
+    if (trackingStats.adaptiveComplexity !== null) parts[0] += ' (lowered automatically)';
+    if (trackingStats.inferenceMs) parts.push(`${Math.round(trackingStats.inferenceMs)} ms/frame`);
+    status.textContent = parts.join(' · ');
+}
+
+function syncTrackingControls() {
+    const values = {
+        cameraResolution: cameraSettings.resolution,
+        handsMax: mediaPipeSettings.maxNumHands,
+        handsComplexity: mediaPipeSettings.modelComplexity,
+        handsDetection: mediaPipeSettings.minDetectionConfidence,
+        handsTracking: mediaPipeSettings.minTrackingConfidence,
+    };
+    for (const [id, value] of Object.entries(values)) {
+        const el = document.getElementById(id);
+        if (el) el.value = String(value);
+    }
+    const mirrorInput = document.getElementById('cameraMirror');
+    if (mirrorInput) mirrorInput.checked = mediaPipeSettings.selfieMode;
+    const adaptiveInput = document.getElementById('handsAdaptive');
+    if (adaptiveInput) adaptiveInput.checked = cameraSettings.adaptive;
+    renderTrackingStatus();
+}
+
+function initTrackingControls() {
+    const deviceSelect = document.getElementById('cameraDevice');
+    const resolutionSelect = document.getElementById('cameraResolution');
+    const mirrorInput = document.getElementById('cameraMirror');
+    const maxSelect = document.getElementById('handsMax');
+    const complexitySelect = document.getElementById('handsComplexity');
+    const detectionInput = document.getElementById('handsDetection');
+    const trackingInput = document.getElementById('handsTracking');
+    const adaptiveInput = document.getElementById('handsAdaptive');
+
+    if (resolutionSelect) {
+        for (const resolution of CAMERA_RESOLUTIONS) {
+            resolutionSelect.add(new Option(resolution.replace('x', ' × '), resolution));
+        }
+        resolutionSelect.addEventListener('change', () => setCameraOptions({ resolution: resolutionSelect.value }));
+    }
+    if (deviceSelect) {
+        deviceSelect.add(new Option('Default camera', ''));
+        deviceSelect.addEventListener('change', () => setCameraOptions({ deviceId: deviceSelect.value }));
+    }
+    if (mirrorInput) {
+        mirrorInput.addEventListener('change', () => setMediaPipeOptions({ selfieMode: mirrorInput.checked }));
+    }
+    if (maxSelect) {
+        maxSelect.addEventListener('change', () => setMediaPipeOptions({ maxNumHands: parseInt(maxSelect.value, 10) }));
+    }
+    if (complexitySelect) {
+        complexitySelect.addEventListener('change', () => {
+            setMediaPipeOptions({ modelComplexity: parseInt(complexitySelect.value, 10) });
+        });
+    }
+    if (detectionInput) {
+        detectionInput.addEventListener('change', () => {
+            setMediaPipeOptions({ minDetectionConfidence: parseFloat(detectionInput.value) });
+        });
+    }
+    if (trackingInput) {
+        trackingInput.addEventListener('change', () => {
+            setMediaPipeOptions({ minTrackingConfidence: parseFloat(trackingInput.value) });
+        });
+    }
+    if (adaptiveInput) adaptiveInput.addEventListener('change', () => setAdaptiveTracking(adaptiveInput.checked));
+
+    if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+        navigator.mediaDevices.addEventListener('devicechange', refreshCameraDevices);
+    }
+    syncTrackingControls();
+}
+
+initTrackingControls();
+
+// ============================================
+// Gesture Control Layer (swipes, pinch, frame)
+// ============================================
+// Holding the arm pose (🤙 by default, set under Hands-Free Controls) arms the control layer,
+// and it stays armed for a few seconds after the pose is let go. While armed no pose plays;
+// instead these motions run the control bound to them:
+// - swipe left/right/up/down: a quick sweep of the palm (left/right are the player's own)
+// - pinch: thumb and index fingertips held together
+// - frame: both hands making an L (thumb and index out) at once, like framing a photo
+// Every control that runs re-arms the layer, so several changes can be made in a row.
+const CONTROL_ARM_MS = 5000;
+const CONTROL_SWIPE_WINDOW_MS = 350;
+const CONTROL_SWIPE_DISTANCE = 0.25;    // in frame widths/heights
+const CONTROL_PINCH_THRESHOLD = 0.08;   // getHandMeasurements() pinch, 0 = touching
+const CONTROL_PINCH_HOLD_MS = 700;
+const CONTROL_FRAME_HOLD_MS = 600;
+const CONTROL_COOLDOWN_MS = 600;        // so the return stroke of a swipe isn't a swipe back
+const CONTROL_FLASH_MS = 1200;
+const CONTROL_OSCILLATORS = ['sine', 'square', 'triangle', 'sawtooth'];
+
+// motion gesture -> its binding select
+const CONTROL_LAYER_GESTURES = {
+    swipe_left: 'controlSwipeLeft',
+    swipe_right: 'controlSwipeRight',
+    swipe_up: 'controlSwipeUp',
+    swipe_down: 'controlSwipeDown',
+    pinch: 'controlPinch',
+    frame: 'controlFrame',
+};
+
+// motion gesture -> customGestureActions id (null = unbound)
+const controlLayerSettings = {
+    bindings: {
+        swipe_left: 'osc:prev',
+        swipe_right: 'osc:next',
+        swipe_up: 'octave:up',
+        swipe_down: 'octave:down',
+        pinch: 'sustain:toggle',
+        frame: 'camera:stop',
+    },
+};
+
+// hands: hand -> { trail: [{ x, y, time }], pinchSince, pinchDone }
+const controlLayer = {
+    armed: false,
+    armedUntil: 0,
+    cooldownUntil: 0,
+    hands: {},
+    frameSince: null,
+    frameDone: false,
+    flash: null,        // { text, until }
+    lastControl: null,
+};
+
+function cycleOscillator(step) {
+    const index = CONTROL_OSCILLATORS.indexOf(currentOscillatorType);
+    const count = CONTROL_OSCILLATORS.length;
+    const type = CONTROL_OSCILLATORS[(index + step + count) % count];
+    switchOscillator(type);
+    return OSCILLATOR_NAMES[type];
+}
+
+// Hands other than left/right (a third hand, ...) change the right hand's instrument,
+// which is what they play through
+function cycleHandInstrument(hand, step) {
+    const target = instrumentSettings[hand] ? hand : 'right';
+    const ids = Object.keys(INSTRUMENTS);
+    const index = ids.indexOf(instrumentSettings[target]);
+    const id = ids[(index + step + ids.length) % ids.length];
+    setHandInstrument(target, id);
+    syncInstrumentControls();
+    return `${INSTRUMENTS[id].name} (${target})`;
+}
+
+// Same octave range as the octave selector
+function shiftOctave(step) {
+    const octave = Math.max(2, Math.min(5, scaleSettings.octave + step));
+    if (octave !== scaleSettings.octave) applyScale({ octave });
+    return `Octave ${scaleSettings.octave}`;
+}
+
+function shiftKey(semitones) {
+    const index = ROOT_NAMES.indexOf(scaleSettings.root);
+    applyScale({ root: ROOT_NAMES[(((index + semitones) % 12) + 12) % 12] });
+    return `🎼 ${getScaleDescription()}`;
+}
+
+function toggleSustainPedal() {
+    setSustainPedal(!isSpaceDown);
+    return isSpaceDown ? '🦶 Sustain on' : '🦶 Sustain off';
+}
+
+function stopCameraFromGesture() {
+    // after the current frame has drawn, so it doesn't paint over the cleared canvas
+    setTimeout(stopHandTracking);
+    controlLayer.armedUntil = 0;
+    return '⏹ Camera stopped';
+}
+
+function isControlLayerArmed(now) {
+    return now < controlLayer.armedUntil;
+}
+
+function runControlLayerGesture(gesture, hand, now) {
+    controlLayer.cooldownUntil = now + CONTROL_COOLDOWN_MS;
+    for (const state of Object.values(controlLayer.hands)) state.trail = [];
+    const action = customGestureActions[controlLayerSettings.bindings[gesture]];
+    if (!action) return;
+    controlLayer.armedUntil = now + CONTROL_ARM_MS;
+    let text;
+    try {
+        text = action.run(hand) || action.label;
+    } catch (err) {
+        console.error('Control layer action failed:', err);
+        text = `⚠️ ${action.label}`;
+    }
+    console.log('Control layer:', gesture, controlLayerSettings.bindings[gesture]);
+    controlLayer.flash = { text, until: now + CONTROL_FLASH_MS };
+    controlLayer.lastControl = text;
+    renderControlLayerStatus();
+}
+
+// A swipe is the palm covering enough distance, mostly along one axis, within the window
+function detectSwipe(trail) {
+    if (trail.length < 2) return null;
+    const first = trail[0];
+    const last = trail[trail.length - 1];
+    let dx = last.x - first.x;
+    const dy = last.y - first.y;
+    // without mirroring, moving to the player's right moves the hand left on screen
+    if (!mediaPipeSettings.selfieMode) dx = -dx;
+    if (Math.abs(dx) > CONTROL_SWIPE_DISTANCE && Math.abs(dx) > Math.abs(dy) * 2) {
+        return dx > 0 ? 'swipe_right' : 'swipe_left';
+    }
+    if (Math.abs(dy) > CONTROL_SWIPE_DISTANCE && Math.abs(dy) > Math.abs(dx) * 2) {
+        return dy > 0 ? 'swipe_down' : 'swipe_up';
+    }
+    return null;
+}
+
+function isFramingHand(landmarks) {
+    const fingers = extractFingerStates(landmarks);
+    return fingers.thumb && fingers.index && !fingers.middle && !fingers.ring && !fingers.pinky;
+}
+
+// Called every frame with the hands that have a stable gesture; returns whether the layer is armed
+function updateControlLayer(stableHands, now) {
+    if (stableHands.some(({ gesture }) => getControlForGesture(gesture) === 'arm')) {
+        controlLayer.armedUntil = now + CONTROL_ARM_MS;
+    }
+    const armed = isControlLayerArmed(now);
+    if (armed !== controlLayer.armed) {
+        controlLayer.armed = armed;
+        renderControlLayerStatus();
+    }
+    if (!armed) {
+        controlLayer.hands = {};
+        controlLayer.frameSince = null;
+        drawControlLayerFeedback(now);
+        return false;
+    }
+
+    const cooling = now < controlLayer.cooldownUntil;
+    for (const { idKey, landmarks } of stableHands) {
+        if (!controlLayer.hands[idKey]) controlLayer.hands[idKey] = { trail: [], pinchSince: null, pinchDone: false };
+        const state = controlLayer.hands[idKey];
+
+        const pinched = getHandMeasurements(landmarks).pinch < CONTROL_PINCH_THRESHOLD;
+        if (!pinched) {
+            state.pinchSince = null;
+            state.pinchDone = false;
+        } else if (state.pinchSince === null) {
+            state.pinchSince = now;
+        } else if (!state.pinchDone && !cooling && now - state.pinchSince >= CONTROL_PINCH_HOLD_MS) {
+            state.pinchDone = true;
+            runControlLayerGesture('pinch', idKey, now);
+            continue;
+        }
+
+        if (cooling || pinched) continue;
+        const center = getPalmCenter(landmarks);
+        state.trail.push({ x: center.x, y: center.y, time: now });
+        while (state.trail.length > 0 && now - state.trail[0].time > CONTROL_SWIPE_WINDOW_MS) state.trail.shift();
+        const swipe = detectSwipe(state.trail);
+        if (swipe) runControlLayerGesture(swipe, idKey, now);
+    }
+
+    const framing = stableHands.length >= 2 && stableHands.every(({ landmarks }) => isFramingHand(landmarks));
+    if (!framing) {
+        controlLayer.frameSince = null;
+        controlLayer.frameDone = false;
+    } else if (controlLayer.frameSince === null) {
+        controlLayer.frameSince = now;
+    } else if (!controlLayer.frameDone && now - controlLayer.frameSince >= CONTROL_FRAME_HOLD_MS) {
+        controlLayer.frameDone = true;
+        runControlLayerGesture('frame', stableHands[0].idKey, now);
+    }
+
+    drawControlLayerFeedback(now);
+    return true;
+}
+
+// Armed banner with the time left, and the last control's name flashed in the middle
+function drawControlLayerFeedback(now) {
+    const armed = isControlLayerArmed(now);
+    const flash = controlLayer.flash && now < controlLayer.flash.until ? controlLayer.flash : null;
+    if (!armed && !flash) return;
+
+    ctx.save();
+    if (armed) {
+        const left = (controlLayer.armedUntil - now) / CONTROL_ARM_MS;
+        ctx.fillStyle = 'rgba(118, 75, 162, 0.75)';
+        ctx.fillRect(0, 0, canvas.width, 36);
+        ctx.fillStyle = '#f093fb';
+        ctx.fillRect(0, 32, canvas.width * left, 4);
+        ctx.fillStyle = 'white';
+        ctx.font = 'bold 16px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('🎛 Control armed: swipe, pinch or frame', canvas.width / 2, 16);
+    }
+    if (flash) {
+        ctx.globalAlpha = Math.min(1, (flash.until - now) / (CONTROL_FLASH_MS / 3));
+        ctx.font = 'bold 32px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.lineWidth = 4;
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.strokeText(flash.text, canvas.width / 2, canvas.height / 2);
+        ctx.fillStyle = 'white';
+        ctx.fillText(flash.text, canvas.width / 2, canvas.height / 2);
+    }
+    ctx.restore();
+}
+
+function resetControlLayer() {
+    controlLayer.armed = false;
+    controlLayer.armedUntil = 0;
+    controlLayer.cooldownUntil = 0;
+    controlLayer.hands = {};
+    controlLayer.frameSince = null;
+    controlLayer.frameDone = false;
+    controlLayer.flash = null;
+    renderControlLayerStatus();
+}
+
+function renderControlLayerStatus() {
+    const status = document.getElementById('controlLayerStatus');
+    if (!status) return;
+    const armGesture = getControlGesture('arm');
+    let text;
+    if (controlLayer.armed) {
+        text = 'Armed';
+    } else if (armGesture) {
+        text = `Hold ${getGestureName(armGesture)} to arm`;
+    } else {
+        text = 'No arm pose set';
+    }
+    if (controlLayer.lastControl) text += ` · Last: ${controlLayer.lastControl}`;
+    status.textContent = text;
+}
+
+function syncControlLayerControls() {
+    for (const [gesture, id] of Object.entries(CONTROL_LAYER_GESTURES)) {
+        const select = document.getElementById(id);
+        if (select) select.value = controlLayerSettings.bindings[gesture] || '';
+    }
+    renderControlLayerStatus();
+}
+
+function initControlLayerControls() {
+    for (const [gesture, id] of Object.entries(CONTROL_LAYER_GESTURES)) {
+        const select = document.getElementById(id);
+        if (!select) continue;
+        select.add(new Option('— None —', ''));
+        for (const [action, info] of Object.entries(customGestureActions)) {
+            select.add(new Option(info.label, action));
+        }
+        select.addEventListener('change', () => {
+            controlLayerSettings.bindings[gesture] = select.value || null;
+        });
+    }
+    syncControlLayerControls();
+}
+
+// the status names the arm pose
+onGestureMappingChange(renderControlLayerStatus);
+
+initControlLayerControls();
+
+// ============================================
+// Gesture Mapping Editor
+// ============================================
+// One row per gesture (built-in, control-only and custom): the kind of binding and its note,
+// chord, sample, action or control. Edits go straight into gestureMappings (see Scale Engine),
+// and everything generated from it follows.
+const BINDING_TYPES = {
+    'pattern': '🎵 Pattern',
+    'note': '♪ Note',
+    'chord': '🎶 Chord',
+    'sample': '🥁 Sample',
+    'action': '⚡ Action',
+    'control': '🎛 Control',
+    '': '— None —',
+};
+
+// Bindings that start from a scale degree or a fixed note
+const PITCHED_BINDING_TYPES = ['pattern', 'note', 'chord'];
+
+// Anything from a file, preset or select that isn't a valid binding becomes null (nothing)
+function normalizeGestureBinding(binding) {
+    if (!binding || typeof binding !== 'object') return null;
+    const { type } = binding;
+    if (PITCHED_BINDING_TYPES.includes(type)) {
+        if (Number.isInteger(binding.degree)) return { type, degree: binding.degree };
+        // chords are built from scale degrees only
+        if (type !== 'chord' && typeof binding.note === 'string' && noteToMidi(binding.note) !== null) {
+            return { type, note: binding.note };
+        }
+        return null;
+    }
+    if (type === 'sample' && DRUM_SOUNDS[binding.sample]) return { type, sample: binding.sample };
+    if (type === 'action' && customGestureActions[binding.action]) return { type, action: binding.action };
+    if (type === 'control' && GESTURE_CONTROLS[binding.control]) return { type, control: binding.control };
+    return null;
+}
+
+// Give a control up: whichever gesture has it goes back to its default binding, or to nothing
+// if that default is the same control
+function releaseGestureControl(control, except = null) {
+    for (const gesture of getMappableGestures()) {
+        if (gesture === except || getControlForGesture(gesture) !== control) continue;
+        const fallback = getDefaultGestureBinding(gesture);
+        gestureMappings[gesture] = fallback && fallback.type === 'control' ? null : fallback;
+    }
+}
+
+function setGestureBinding(gesture, binding) {
+    binding = normalizeGestureBinding(binding);
+    if (binding && binding.type === 'control') releaseGestureControl(binding.control, gesture);
+    gestureMappings[gesture] = binding;
+    // custom gestures save their bindings with the trained set
+    saveCustomGestures();
+    refreshGestureMappings();
+}
+
+function setControlGesture(control, gesture) {
+    if (gesture) {
+        setGestureBinding(gesture, { type: 'control', control });
+        return;
+    }
+    releaseGestureControl(control);
+    saveCustomGestures();
+    refreshGestureMappings();
+}
+
+// Select options for a binding type: [value, label]
+function getBindingTargets(type, binding) {
+    if (PITCHED_BINDING_TYPES.includes(type)) {
+        // the scale pool, stretched to reach a degree bound beyond it (e.g. after a range change)
+        const kept = binding && binding.type === type ? binding : {};
+        const top = Math.max(musicScale.length - 1, Number.isInteger(kept.degree) ? kept.degree : 0);
+        const targets = [];
+        for (let degree = 0; degree <= top; degree++) {
+            const note = formatNoteLabel(scaleDegreeToNote(degree));
+            targets.push([`degree:${degree}`, type === 'chord' ? `${getChordName(degree)} (${note})` : note]);
+        }
+        if (kept.note) targets.push([`note:${kept.note}`, `${kept.note} (fixed)`]);
+        return targets;
     }
-    isRunning = false;
-    gestureDisplay.textContent = 'Camera stopped';
-    lastPlayedGesture = null;
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
-});
+    if (type === 'sample') return Object.entries(DRUM_SOUNDS).map(([id, drum]) => [id, drum.name]);
+    if (type === 'action') return Object.entries(customGestureActions).map(([id, action]) => [id, action.label]);
+    if (type === 'control') return Object.entries(GESTURE_CONTROLS);
+    return [];
+}
+
+function getBindingTargetValue(binding) {
+    if (!binding) return '';
+    if (PITCHED_BINDING_TYPES.includes(binding.type)) {
+        return Number.isInteger(binding.degree) ? `degree:${binding.degree}` : `note:${binding.note}`;
+    }
+    // the target's field is named after the type: { type: 'sample', sample }, ...
+    return binding[binding.type];
+}
+
+function parseBindingTarget(type, value) {
+    if (!type || !value) return null;
+    if (PITCHED_BINDING_TYPES.includes(type)) {
+        const [kind, target] = value.split(/:(.*)/s);
+        return kind === 'degree' ? { type, degree: parseInt(target, 10) } : { type, note: target };
+    }
+    return { type, [type]: value };
+}
+
+function renderGestureMappingEditor() {
+    const table = document.getElementById('gestureMappingRows');
+    if (!table) return;
+    table.innerHTML = '';
+
+    for (const gesture of getMappableGestures()) {
+        const binding = getGestureBinding(gesture);
+        const row = document.createElement('div');
+        row.className = 'pattern-row';
+        const name = document.createElement('span');
+        name.textContent = getGestureName(gesture);
+
+        const typeSelect = document.createElement('select');
+        for (const [type, label] of Object.entries(BINDING_TYPES)) {
+            typeSelect.add(new Option(label, type));
+        }
+        typeSelect.value = binding ? binding.type : '';
+
+        const targetSelect = document.createElement('select');
+        for (const [value, label] of getBindingTargets(typeSelect.value, binding)) {
+            targetSelect.add(new Option(label, value));
+        }
+        targetSelect.value = getBindingTargetValue(binding);
+        targetSelect.disabled = !binding;
+
+        typeSelect.addEventListener('change', () => {
+            const type = typeSelect.value;
+            const targets = getBindingTargets(type, null);
+            // a new pitched binding keeps the gesture's current degree where it has one
+            const degree = `degree:${getGestureDegree(gesture)}`;
+            const value = targets.some(([v]) => v === degree) ? degree : (targets[0] || [''])[0];
+            setGestureBinding(gesture, parseBindingTarget(type, value));
+        });
+        targetSelect.addEventListener('change', () => {
+            setGestureBinding(gesture, parseBindingTarget(typeSelect.value, targetSelect.value));
+        });
+
+        row.append(name, typeSelect, targetSelect);
+        table.appendChild(row);
+    }
+}
+
+// Built-in and control-only poses go back to their defaults; custom gestures keep theirs
+function resetGestureMappings() {
+    for (const gesture of [...GESTURE_ORDER, ...CONTROL_ONLY_GESTURES]) delete gestureMappings[gesture];
+    for (const control of Object.keys(GESTURE_CONTROLS)) {
+        // a custom gesture holding a control would now share it with its default pose
+        const defaultGesture = [...GESTURE_ORDER, ...CONTROL_ONLY_GESTURES]
+            .find(gesture => getControlForGesture(gesture) === control);
+        if (defaultGesture) releaseGestureControl(control, defaultGesture);
+    }
+    saveCustomGestures();
+    refreshGestureMappings();
+}
+
+function initGestureMappingControls() {
+    const resetBtn = document.getElementById('gestureMappingResetBtn');
+    if (resetBtn) resetBtn.addEventListener('click', resetGestureMappings);
+    renderGestureMappingEditor();
+}
+
+onGestureMappingChange(renderGestureMappingEditor);
+
+initGestureMappingControls();
 
 // ============================================
 // Keyboard Controls for Oscillator Type
 // ============================================
+const OSCILLATOR_NAMES = {
+    'sine': '🌊 Sine',
+    'square': '📦 Square',
+    'triangle': '△ Triangle',
+    'sawtooth': '📈 Sawtooth',
+};
+
+// key -> oscillator type
+const OSCILLATOR_KEYS = {
+    'a': 'sine',
+    's': 'square',
+    'd': 'triangle',
+    'f': 'sawtooth',
+};
+
 function switchOscillator(type) {
+    const previous = currentOscillatorType;
     currentOscillatorType = type;
-    // Recreate the polySynth with the new oscillator type to avoid deprecated/set issues
-    const held = heldNotes.slice();
-    // release currently held notes on old synth first
-    try {
-        if (held.length > 0) polySynth.triggerRelease(held, Tone.now());
-    } catch (e) {
-        /* ignore */
+    // Recreate the synths (shared and per hand) with the new oscillator type to avoid
+    // deprecated/set issues
+    const oldSynth = polySynth;
+    const oldSynths = [oldSynth, ...getHandSynthEntries().map(entry => entry.voice)];
+    // release currently held notes on the old synths first
+    for (const voice of oldSynths) {
+        const held = getHeldNotes().filter(entry => entry.voice === voice);
+        try {
+            if (held.length > 0) voice.triggerRelease(held.map(entry => entry.note), Tone.now());
+        } catch (e) {
+            /* ignore */
+        }
+    }
+    // The held notes end on the old oscillator and start again on the new one, so the looper and
+    // MIDI out hear the change the same way it sounds
+    const revoiced = [];
+    for (const [hand, entries] of heldNotesByHand) {
+        for (const entry of entries) {
+            if (!oldSynths.includes(entry.voice)) continue;
+            revoiced.push({ hand, entry });
+            emitPerformanceEvent({ type: 'noteoff', note: entry.note, hand, time: Tone.now() });
+        }
     }
     createPolySynth(type);
+    const replaced = replaceHandSynths();
+    replaced.set(oldSynth, polySynth);
+    if (thereminSynth) thereminSynth.oscillator.type = type;
+    emitPerformanceEvent({ type: 'oscillator', oscillator: type, previous, time: Tone.now() });
 
-    // If space is held, re-attack held notes on the new synth so sustain continues
-    if (isSpaceDown && held.length > 0) {
-        for (const n of held) {
-            try {
-                polySynth.triggerAttack(n, Tone.now());
-            } catch (e) {}
-        }
+    // Re-attack held notes on the new synths so sustain and latch continue
+    for (const { hand, entry } of revoiced) {
+        entry.voice = replaced.get(entry.voice);
+        try {
+            entry.voice.triggerAttack(entry.note, Tone.now());
+        } catch (e) {}
+        emitPerformanceEvent({ type: 'noteon', note: entry.note, hand, velocity: 1, instrument: 'synth', time: Tone.now() });
     }
     
-    const typeNames = {
-        'sine': '🌊 Sine',
-        'square': '📦 Square',
-        'triangle': '△ Triangle',
-        'sawtooth': '📈 Sawtooth'
-    };
-    
+    const oscillatorSelect = document.getElementById('synthOscillator');
+    if (oscillatorSelect) oscillatorSelect.value = type;
+
     const synthDisplay = document.getElementById('synthDisplay');
     if (synthDisplay) {
-        synthDisplay.textContent = `Synth: ${typeNames[type] || type}`;
+        synthDisplay.textContent = `Synth: ${OSCILLATOR_NAMES[type] || type}`;
         synthDisplay.style.color = '#4facfe';
     }
     
     console.log('Switched to', type, 'oscillator');
 }
 
+// Input types that don't take typed text; keys keep playing after clicking one of these
+const NON_TEXT_INPUT_TYPES = ['checkbox', 'radio', 'range', 'color', 'button', 'submit', 'reset', 'file', 'image'];
+
+function isEditingField(target) {
+    if (!target) return false;
+    if (target.isContentEditable || target.tagName === 'TEXTAREA') return true;
+    return target.tagName === 'INPUT' && !NON_TEXT_INPUT_TYPES.includes((target.type || 'text').toLowerCase());
+}
+
 document.addEventListener('keydown', (e) => {
+    if (isEditingField(e.target) || e.ctrlKey || e.metaKey || e.altKey) return;
+
     // handle space separately to allow holding
     if (e.code === 'Space') {
-        if (!isSpaceDown) {
-            isSpaceDown = true;
-            // prevent default page scroll
-            e.preventDefault();
-        }
+        // prevent default page scroll (and toggling a focused checkbox)
+        e.preventDefault();
+        if (!isSpaceDown) setSustainPedal(true);
         return;
     }
 
-    const key = e.key.toLowerCase();
-    switch(key) {
-        case 'a':
-            switchOscillator('sine');
-            break;
-        case 's':
-            switchOscillator('square');
-            break;
-        case 'd':
-            switchOscillator('triangle');
-            break;
-        case 'f':
-            switchOscillator('sawtooth');
-            break;
+    // preventDefault so a focused select doesn't jump to the option starting with that letter
+    if (handlePerformanceKeyDown(e)) {
+        e.preventDefault();
+        return;
+    }
+
+    const type = OSCILLATOR_KEYS[e.key.toLowerCase()];
+    if (type) {
+        e.preventDefault();
+        switchOscillator(type);
     }
 });
 
 document.addEventListener('keyup', (e) => {
+    handlePerformanceKeyUp(e);
     if (e.code === 'Space') {
         if (isSpaceDown) {
-            isSpaceDown = false;
             e.preventDefault();
-            // reliably release all held notes
-            releaseAllHeldNotes();
+            setSustainPedal(false);
         }
     }
 });
 
+// ============================================
+// Keyboard & Pad Performance (no camera needed)
+// ============================================
+// Q row = white keys, number row = black keys, starting at C in the scale's octave.
+// Z X C V B N M , trigger the gestures in legend order, like the on-screen pads.
+// A/S/D/F stay on oscillator switching and Space stays on sustain.
+const PIANO_KEY_CODES = {
+    'KeyQ': 0, 'Digit2': 1, 'KeyW': 2, 'Digit3': 3, 'KeyE': 4,
+    'KeyR': 5, 'Digit5': 6, 'KeyT': 7, 'Digit6': 8, 'KeyY': 9, 'Digit7': 10, 'KeyU': 11,
+    'KeyI': 12, 'Digit9': 13, 'KeyO': 14, 'Digit0': 15, 'KeyP': 16,
+    'BracketLeft': 17, 'Equal': 18, 'BracketRight': 19,
+};
+
+const PAD_KEY_CODES = ['KeyZ', 'KeyX', 'KeyC', 'KeyV', 'KeyB', 'KeyN', 'KeyM', 'Comma'];
+
+const keyboardSettings = {
+    hand: 'right',      // which hand's instrument the keys and pads play
+};
+
+// key code -> { note, hand, voice }, so key-up releases exactly what key-down started
+const keyboardNotes = {};
+
+// Labels for the pad hints; a function so pads can render before this section has run
+function getPadKeyLabel(index) {
+    return 'ZXCVBNM,'[index] || '';
+}
+
+const KEY_CODE_LABELS = {
+    'BracketLeft': '[',
+    'BracketRight': ']',
+    'Equal': '=',
+    'Comma': ',',
+};
+
+function getKeyCodeLabel(code) {
+    return KEY_CODE_LABELS[code] || code.replace(/^(Key|Digit)/, '');
+}
+
+function getPianoNote(semitones) {
+    const midi = 12 * (scaleSettings.octave + 1) + scaleSettings.transpose + semitones;
+    return midiToNote(midi, resolveScale().useFlats);
+}
+
+async function startKeyboardNote(code) {
+    if (keyboardNotes[code]) return;
+    const note = getPianoNote(PIANO_KEY_CODES[code]);
+    const hand = keyboardSettings.hand;
+    // the shared voice: the keyboard isn't bent by the camera hand of the same name
+    const voice = getSharedHandVoice(hand);
+    // A drum-kit hand falls back to the synth for pitched notes; label them as such
+    const instrument = voice === polySynth ? 'synth' : getHandInstrument(hand);
+    keyboardNotes[code] = { note, hand, voice, instrument };
+    try {
+        if (Tone.context.state !== 'running') await Tone.start();
+        const time = Tone.now();
+        voice.triggerAttack(note, time);
+        emitPerformanceEvent({ type: 'noteon', note, hand, velocity: 1, instrument, time });
+    } catch (err) {
+        console.warn('Keyboard note error:', err);
+    }
+}
+
+function stopKeyboardNote(code) {
+    if (!keyboardNotes[code]) return;
+    const { note, hand, voice, instrument } = keyboardNotes[code];
+    delete keyboardNotes[code];
+
+    // While sustained the note joins the held notes and is released with them
+    if (isSustainOn(hand)) {
+        holdNote(hand, note, voice);
+        return;
+    }
+    try {
+        const time = Tone.now();
+        voice.triggerRelease(note, time);
+        emitPerformanceEvent({ type: 'noteoff', note, hand, instrument, time });
+    } catch (err) {
+        console.warn('Keyboard release error:', err);
+    }
+}
+
+function getPadGestures() {
+    const custom = customGestureSet.gestures.filter(g => !isBuiltinGesture(g.id)).map(g => g.id);
+    return [...GESTURE_ORDER, ...custom];
+}
+
+// Pads run the same path as a recognised gesture: sequence, chord, drum or action
+function triggerPad(gesture) {
+    triggerGesture(gesture, keyboardSettings.hand);
+    const pad = document.querySelector(`.performance-pad[data-gesture="${gesture}"]`);
+    if (pad) {
+        pad.classList.add('active');
+        setTimeout(() => pad.classList.remove('active'), 150);
+    }
+}
+
+function renderPerformancePads() {
+    const grid = document.getElementById('performancePads');
+    if (!grid) return;
+    grid.innerHTML = '';
+    getPadGestures().forEach((gesture, index) => {
+        const pad = document.createElement('button');
+        pad.className = 'performance-pad';
+        pad.dataset.gesture = gesture;
+        const keyLabel = getPadKeyLabel(index);
+        pad.textContent = `${gestureLabels[gesture] || gesture}${keyLabel ? ` [${keyLabel}]` : ''}`;
+        // pointer events cover mouse, pen and every finger of a multitouch screen
+        pad.addEventListener('pointerdown', (e) => {
+            e.preventDefault();
+            triggerPad(gesture);
+        });
+        grid.appendChild(pad);
+    });
+}
+
+// Returns true when the key was used for playing
+function handlePerformanceKeyDown(e) {
+    if (e.code in PIANO_KEY_CODES) {
+        if (!e.repeat) startKeyboardNote(e.code);
+        return true;
+    }
+    const padIndex = PAD_KEY_CODES.indexOf(e.code);
+    if (padIndex !== -1) {
+        const gesture = getPadGestures()[padIndex];
+        if (gesture && !e.repeat) triggerPad(gesture);
+        return true;
+    }
+    return false;
+}
+
+function handlePerformanceKeyUp(e) {
+    if (e.code in PIANO_KEY_CODES) stopKeyboardNote(e.code);
+}
+
+function addKeyboardHelpRow(list, keys, description, separator = ' ') {
+    const li = document.createElement('li');
+    keys.forEach((key, i) => {
+        if (i > 0) li.append(separator);
+        const kbd = document.createElement('kbd');
+        kbd.textContent = key;
+        li.appendChild(kbd);
+    });
+    li.append(` - ${description}`);
+    list.appendChild(li);
+}
+
+// Generated from the key tables and the gesture mapping, like the pads
+function renderKeyboardHelp() {
+    const list = document.getElementById('keyboardHelp');
+    if (!list) return;
+    list.innerHTML = '';
+
+    for (const [key, type] of Object.entries(OSCILLATOR_KEYS)) {
+        addKeyboardHelpRow(list, [key.toUpperCase()], `${OSCILLATOR_NAMES[type]} Wave`);
+    }
+    const codes = Object.keys(PIANO_KEY_CODES);
+    const isBlack = code => [1, 3, 6, 8, 10].includes(PIANO_KEY_CODES[code] % 12);
+    const white = codes.filter(code => !isBlack(code)).map(getKeyCodeLabel);
+    addKeyboardHelpRow(list, [white[0], white[white.length - 1]],
+        `🎹 Piano from ${getPianoNote(0)} (white keys)`, '–');
+    addKeyboardHelpRow(list, codes.filter(isBlack).map(getKeyCodeLabel), 'Black keys');
+    const gestures = getPadGestures();
+    PAD_KEY_CODES.forEach((code, index) => {
+        if (gestures[index]) addKeyboardHelpRow(list, [getKeyCodeLabel(code)], gestureLabels[gestures[index]]);
+    });
+    addKeyboardHelpRow(list, ['Space'], 'Hold to sustain');
+}
+
+function initPerformancePadControls() {
+    const handSelect = document.getElementById('keyboardHand');
+    if (handSelect) {
+        handSelect.value = keyboardSettings.hand;
+        handSelect.addEventListener('change', () => {
+            // let go of anything the old hand's instrument is still playing
+            for (const code of Object.keys(keyboardNotes)) stopKeyboardNote(code);
+            keyboardSettings.hand = handSelect.value;
+        });
+    }
+    // notes stuck down when the window loses focus never get their key-up
+    window.addEventListener('blur', () => {
+        for (const code of Object.keys(keyboardNotes)) stopKeyboardNote(code);
+    });
+    renderPerformancePads();
+    renderKeyboardHelp();
+}
+
+onGestureMappingChange(() => {
+    renderPerformancePads();
+    renderKeyboardHelp();
+});
+
+initPerformancePadControls();
+
+// ============================================
+// Synth Controls
+// ============================================
+function syncSynthControls() {
+    const values = {
+        synthOscillator: currentOscillatorType,
+        envAttack: envelopeSettings.attack,
+        envDecay: envelopeSettings.decay,
+        envSustain: envelopeSettings.sustain,
+        envRelease: envelopeSettings.release,
+    };
+    for (const [id, value] of Object.entries(values)) {
+        const el = document.getElementById(id);
+        if (el) el.value = String(value);
+    }
+}
+
+function initSynthControls() {
+    const oscillatorSelect = document.getElementById('synthOscillator');
+    if (oscillatorSelect) {
+        oscillatorSelect.addEventListener('change', () => switchOscillator(oscillatorSelect.value));
+    }
+    const envelopeInputs = {
+        attack: 'envAttack',
+        decay: 'envDecay',
+        sustain: 'envSustain',
+        release: 'envRelease',
+    };
+    for (const [param, id] of Object.entries(envelopeInputs)) {
+        const input = document.getElementById(id);
+        if (!input) continue;
+        input.addEventListener('input', () => setEnvelope({ [param]: parseFloat(input.value) }));
+    }
+    syncSynthControls();
+}
+
+initSynthControls();
+
+// ============================================
+// Session Presets
+// ============================================
+// A preset is the whole session as JSON: synth, scale, gesture mappings, timing, sequences,
+// instruments, effects, chords and combos, the drone and the gesture control layer, expression,
+// theremin, visuals, camera and MediaPipe options and custom gestures.
+// Presets are stored by name in localStorage, exported/imported as files, or put in
+// the URL hash (#preset=<base64url JSON>) so one link opens everyone on the same setup.
+// Loaded sampler files can't be serialized and stay as they are.
+const PRESET_VERSION = 1;
+const PRESET_STORAGE_KEY = 'handPoseMusic.presets';
+const PRESET_HASH_PREFIX = '#preset=';
+
+function serializePreset(options = {}) {
+    const preset = {
+        version: PRESET_VERSION,
+        synth: {
+            oscillator: currentOscillatorType,
+            envelope: { ...envelopeSettings },
+        },
+        scale: { ...scaleSettings },
+        // custom gestures carry their own bindings
+        mappings: Object.fromEntries([...GESTURE_ORDER, ...CONTROL_ONLY_GESTURES]
+            .map(gesture => [gesture, getGestureBinding(gesture)])),
+        transport: { ...transportSettings },
+        sequence: {
+            ...sequenceSettings,
+            patterns: JSON.parse(JSON.stringify(gesturePatterns)),
+        },
+        instruments: {
+            hands: { ...instrumentSettings },
+            drums: { ...drumGestureMap },
+        },
+        effects: {
+            settings: JSON.parse(JSON.stringify(effectsSettings)),
+            mappings: effectMappings.map(({ source, hand, effect, param }) => ({ source, hand, effect, param })),
+        },
+        chords: {
+            ...chordSettings,
+            combos: handCombos.map(({ left, right, binding }) => ({ left, right, binding })),
+        },
+        theremin: { ...thereminSettings },
+        controls: { ...performanceControlSettings },
+        controlLayer: { bindings: { ...controlLayerSettings.bindings } },
+        expression: { ...expressionSettings },
+        visuals: { ...visualSettings },
+        keyboard: { ...keyboardSettings },
+        mediaPipe: { ...mediaPipeSettings },
+        // the device id is left out: it means nothing on another machine
+        camera: { resolution: cameraSettings.resolution, adaptive: cameraSettings.adaptive },
+    };
+    // training samples are large, so links can leave them out
+    if (options.includeCustomGestures !== false) {
+        preset.customGestures = serializeCustomGestures();
+    }
+    return preset;
+}
+
+// Copy only keys the target already has, with the same type, so a bad file can't inject junk.
+// `rules` narrows a key to what the UI offers: a list of values or a { min, max } range.
+function assignKnown(target, source, rules = {}) {
+    if (!source || typeof source !== 'object') return;
+    for (const key of Object.keys(target)) {
+        if (key in source && typeof source[key] === typeof target[key] && isAllowedValue(source[key], rules[key])) {
+            target[key] = source[key];
+        }
+    }
+}
+
+function isAllowedValue(value, rule) {
+    if (typeof value === 'number' && !Number.isFinite(value)) return false;
+    if (!rule) return true;
+    if (Array.isArray(rule)) return rule.includes(value);
+    return value >= rule.min && value <= rule.max;
+}
+
+// The values a select offers (parsed with `parse`), or null when it isn't on the page
+function getOptionValues(id, parse = String) {
+    const select = document.getElementById(id);
+    return select ? Array.from(select.options, option => parse(option.value)) : null;
+}
+
+// The range a number or slider input allows, or null when it isn't on the page
+function getInputRange(id) {
+    const input = document.getElementById(id);
+    return input ? { min: parseFloat(input.min), max: parseFloat(input.max) } : null;
+}
+
+function applyPreset(data) {
+    if (!data || typeof data !== 'object' || typeof data.version !== 'number') {
+        throw new Error('Not a preset');
+    }
+
+    if (data.synth) {
+        if (data.synth.envelope) {
+            const envelope = { ...envelopeSettings };
+            assignKnown(envelope, data.synth.envelope, {
+                attack: getInputRange('envAttack'),
+                decay: getInputRange('envDecay'),
+                sustain: getInputRange('envSustain'),
+                release: getInputRange('envRelease'),
+            });
+            setEnvelope(envelope);
+        }
+        if (['sine', 'square', 'triangle', 'sawtooth'].includes(data.synth.oscillator)) {
+            switchOscillator(data.synth.oscillator);
+        }
+        syncSynthControls();
+    }
+
+    if (data.scale) {
+        const scale = { ...scaleSettings };
+        assignKnown(scale, data.scale, {
+            octave: getOptionValues('scaleOctave', Number),
+            octaveRange: getOptionValues('scaleRange', Number),
+            transpose: getInputRange('scaleTranspose'),
+        });
+        if (!Number.isInteger(scale.transpose)) scale.transpose = scaleSettings.transpose;
+        if (!SCALE_MODES[scale.mode]) scale.mode = scaleSettings.mode;
+        if (!ROOT_NAMES.includes(scale.root)) scale.root = scaleSettings.root;
+        applyScale(scale);
+    }
+
+    if (data.transport) {
+        const transport = { ...transportSettings };
+        assignKnown(transport, data.transport, {
+            bpm: getInputRange('transportBpm'),
+            beatsPerBar: getOptionValues('transportBeats', Number),
+            stepValue: getOptionValues('transportStep'),
+            quantize: getOptionValues('transportQuantize'),
+        });
+        setTempo(transport.bpm);
+        setBeatsPerBar(transport.beatsPerBar);
+        transportSettings.stepValue = transport.stepValue;
+        transportSettings.quantize = transport.quantize;
+        if (transport.metronome !== transportSettings.metronome) {
+            // a preset link loads before any click, and browsers only start audio after one
+            if (transport.metronome && Tone.context.state !== 'running') {
+                transportSettings.metronome = true;
+                whenAudioRunning(() => {
+                    if (transportSettings.metronome && metronomeRepeatId === null) setMetronome(true);
+                });
+            } else {
+                setMetronome(transport.metronome);
+            }
+        }
+        syncTransportControls();
+    }
+
+    if (data.sequence) {
+        assignKnown(sequenceSettings, data.sequence, {
+            chordSize: getOptionValues('sequenceChordSize', Number),
+        });
+        if (data.sequence.patterns && typeof data.sequence.patterns === 'object') {
+            for (const key of Object.keys(gesturePatterns)) delete gesturePatterns[key];
+            for (const [id, pattern] of Object.entries(data.sequence.patterns)) {
+                if (pattern && sequenceGenerators[pattern.generator] && rhythmPatterns[pattern.rhythm]) {
+                    gesturePatterns[id] = { generator: pattern.generator, rhythm: pattern.rhythm };
+                }
+            }
+            if (!gesturePatterns.default) gesturePatterns.default = { generator: 'random', rhythm: 'straight' };
+        }
+        reseedSequenceRandom();
+        syncSequenceControls();
+    }
+
+    if (data.instruments) {
+        for (const hand of ['left', 'right']) {
+            const id = data.instruments.hands && data.instruments.hands[hand];
+            if (INSTRUMENTS[id]) instrumentSettings[hand] = id;
+        }
+        if (data.instruments.drums) {
+            for (const [gesture, drum] of Object.entries(data.instruments.drums)) {
+                if (DRUM_SOUNDS[drum]) drumGestureMap[gesture] = drum;
+            }
+        }
+        syncInstrumentControls();
+    }
+
+    if (data.effects) {
+        const settings = data.effects.settings || {};
+        for (const id of EFFECT_ORDER) {
+            const saved = settings[id];
+            if (!saved) continue;
+            if (typeof saved.enabled === 'boolean') effectsSettings[id].enabled = saved.enabled;
+            if (typeof saved.mix === 'number' && isAllowedValue(saved.mix, { min: 0, max: 1 })) {
+                effectsSettings[id].mix = saved.mix;
+            }
+            for (const key of Object.keys(effectsSettings[id].params)) {
+                const value = saved.params && saved.params[key];
+                const rule = EFFECT_DEFINITIONS[id].params[key];
+                effectsSettings[id].params[key] = typeof value === 'number' && isAllowedValue(value, rule) ? value : null;
+            }
+            applyEffectSettings(id);
+        }
+        if (Array.isArray(data.effects.mappings)) {
+            effectMappings = data.effects.mappings
+                .filter(m => m && HAND_MEASUREMENTS[m.source] && EFFECT_DEFINITIONS[m.effect]
+                    && (m.param === 'mix' || m.param in EFFECT_DEFINITIONS[m.effect].params))
+                .map(m => ({
+                    id: nextEffectMappingId++,
+                    source: m.source,
+                    hand: ['left', 'right'].includes(m.hand) ? m.hand : 'any',
+                    effect: m.effect,
+                    param: m.param,
+                }));
+        }
+        renderEffectsRack();
+        renderEffectMappings();
+    }
+
+    // before chords: combos can use the preset's custom gestures
+    if (data.customGestures) {
+        loadCustomGestureData(data.customGestures);
+        saveCustomGestures();
+        syncCustomGestureControls();
+    }
+
+    if (data.chords) {
+        assignKnown(chordSettings, data.chords, {
+            size: getOptionValues('chordSize', Number),
+            inversion: getOptionValues('chordInversion', Number),
+            length: getOptionValues('chordLength'),
+        });
+        if (!CHORD_VOICINGS[chordSettings.voicing]) chordSettings.voicing = 'close';
+        if (Array.isArray(data.chords.combos)) {
+            const gestures = getPadGestures();
+            handCombos = data.chords.combos
+                .filter(c => c && gestures.includes(c.left) && gestures.includes(c.right) && c.binding
+                    && ((c.binding.type === 'chord' && Number.isInteger(c.binding.degree))
+                        || (c.binding.type === 'action' && customGestureActions[c.binding.action])))
+                .map(c => ({ id: nextComboId++, left: c.left, right: c.right, binding: c.binding }));
+            activeComboId = null;
+        }
+        renderComboBindingOptions();
+        syncChordControls();
+    }
+
+    if (data.theremin) {
+        assignKnown(thereminSettings, data.theremin, {
+            hand: getOptionValues('thereminHand'),
+            pitchMode: getOptionValues('thereminPitchMode'),
+            portamento: { min: 0, max: 1 },
+            minCutoff: { min: 20, max: 20000 },
+            maxCutoff: { min: 20, max: 20000 },
+        });
+        stopTheremin();
+        syncThereminControls();
+    }
+
+    if (data.controls) {
+        // older presets kept the control poses here ('sustainGesture', ...)
+        for (const control of Object.keys(GESTURE_CONTROLS)) {
+            const gesture = data.controls[`${control}Gesture`];
+            if (gesture === null || gestureInfo[gesture]) setControlGesture(control, gesture);
+        }
+        if (typeof data.controls.drone === 'boolean') setDrone(data.controls.drone);
+    }
+
+    if (data.mappings && typeof data.mappings === 'object') {
+        for (const gesture of [...GESTURE_ORDER, ...CONTROL_ONLY_GESTURES]) {
+            if (gesture in data.mappings) gestureMappings[gesture] = normalizeGestureBinding(data.mappings[gesture]);
+        }
+        refreshGestureMappings();
+    }
+
+    if (data.controlLayer && data.controlLayer.bindings) {
+        for (const gesture of Object.keys(CONTROL_LAYER_GESTURES)) {
+            const action = data.controlLayer.bindings[gesture];
+            if (action === null || customGestureActions[action]) controlLayerSettings.bindings[gesture] = action;
+        }
+        syncControlLayerControls();
+    }
+
+    if (data.expression) {
+        for (const target of Object.keys(EXPRESSION_TARGETS)) {
+            const source = data.expression[target];
+            if (source === null || EXPRESSION_SOURCES[source]) expressionSettings[target] = source;
+        }
+        if (Number.isFinite(data.expression.bendRange)) {
+            expressionSettings.bendRange = Math.max(1, Math.min(12, Math.round(data.expression.bendRange)));
+        }
+        syncExpressionControls();
+    }
+
+    if (data.visuals) {
+        assignKnown(visualSettings, data.visuals, {
+            particleBudget: getInputRange('visualBudget'),
+        });
+        if (!VISUAL_MODES[visualSettings.mode]) visualSettings.mode = 'fireworks';
+        if (visualSettings.reducedMotion) clearParticles();
+        syncVisualControls();
+    }
+
+    if (data.keyboard) {
+        assignKnown(keyboardSettings, data.keyboard);
+        if (!['left', 'right'].includes(keyboardSettings.hand)) keyboardSettings.hand = 'right';
+        const handSelect = document.getElementById('keyboardHand');
+        if (handSelect) handSelect.value = keyboardSettings.hand;
+    }
+
+    if (data.mediaPipe) {
+        const options = { ...mediaPipeSettings };
+        assignKnown(options, data.mediaPipe, {
+            maxNumHands: getOptionValues('handsMax', Number),
+            modelComplexity: getOptionValues('handsComplexity', Number),
+            minDetectionConfidence: getInputRange('handsDetection'),
+            minTrackingConfidence: getInputRange('handsTracking'),
+        });
+        setMediaPipeOptions(options);
+    }
+
+    if (data.camera) {
+        const changes = {};
+        if (CAMERA_RESOLUTIONS.includes(data.camera.resolution)) changes.resolution = data.camera.resolution;
+        if (Object.keys(changes).length > 0) setCameraOptions(changes);
+        if (typeof data.camera.adaptive === 'boolean') setAdaptiveTracking(data.camera.adaptive);
+        syncTrackingControls();
+    }
+}
+
+function loadStoredPresets() {
+    try {
+        return JSON.parse(localStorage.getItem(PRESET_STORAGE_KEY)) || {};
+    } catch (err) {
+        console.warn('Could not read presets:', err);
+        return {};
+    }
+}
+
+function storePresets(presets) {
+    try {
+        localStorage.setItem(PRESET_STORAGE_KEY, JSON.stringify(presets));
+    } catch (err) {
+        console.warn('Could not save presets:', err);
+    }
+}
+
+function savePreset(name) {
+    const presets = loadStoredPresets();
+    presets[name] = serializePreset();
+    storePresets(presets);
+}
+
+function deletePreset(name) {
+    const presets = loadStoredPresets();
+    delete presets[name];
+    storePresets(presets);
+}
+
+// base64url keeps the hash free of characters that need escaping
+function encodePresetHash(preset) {
+    const bytes = new TextEncoder().encode(JSON.stringify(preset));
+    let binary = '';
+    for (const byte of bytes) binary += String.fromCharCode(byte);
+    return PRESET_HASH_PREFIX + btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodePresetHash(hash) {
+    if (!hash || !hash.startsWith(PRESET_HASH_PREFIX)) return null;
+    const base64 = hash.slice(PRESET_HASH_PREFIX.length).replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64);
+    const bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
+    return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+function getPresetLink() {
+    const preset = serializePreset({ includeCustomGestures: false });
+    return `${location.href.split('#')[0]}${encodePresetHash(preset)}`;
+}
+
+function loadPresetFromHash() {
+    try {
+        const preset = decodePresetHash(location.hash);
+        if (!preset) return false;
+        applyPreset(preset);
+        setPresetStatus('Loaded preset from link');
+        return true;
+    } catch (err) {
+        console.error('Error loading preset from link:', err);
+        setPresetStatus(`Link preset failed: ${err.message}`);
+        return false;
+    }
+}
+
+function setPresetStatus(text) {
+    const status = document.getElementById('presetStatus');
+    if (status) status.textContent = text;
+}
+
+function renderPresetList() {
+    const select = document.getElementById('presetSelect');
+    if (!select) return;
+    const current = select.value;
+    select.innerHTML = '';
+    const names = Object.keys(loadStoredPresets()).sort();
+    if (names.length === 0) select.add(new Option('No saved presets', ''));
+    for (const name of names) select.add(new Option(name, name));
+    if (names.includes(current)) select.value = current;
+}
+
+function initPresetControls() {
+    const nameInput = document.getElementById('presetName');
+    const saveBtn = document.getElementById('presetSaveBtn');
+    const select = document.getElementById('presetSelect');
+    const loadBtn = document.getElementById('presetLoadBtn');
+    const deleteBtn = document.getElementById('presetDeleteBtn');
+    const exportBtn = document.getElementById('presetExportBtn');
+    const importBtn = document.getElementById('presetImportBtn');
+    const importInput = document.getElementById('presetImportInput');
+    const linkBtn = document.getElementById('presetLinkBtn');
+
+    if (saveBtn) {
+        saveBtn.addEventListener('click', () => {
+            const name = (nameInput && nameInput.value.trim()) || `Preset ${new Date().toLocaleString()}`;
+            savePreset(name);
+            renderPresetList();
+            if (select) select.value = name;
+            setPresetStatus(`Saved "${name}"`);
+        });
+    }
+    if (loadBtn && select) {
+        loadBtn.addEventListener('click', () => {
+            const preset = loadStoredPresets()[select.value];
+            if (!preset) return;
+            try {
+                applyPreset(preset);
+                setPresetStatus(`Loaded "${select.value}"`);
+            } catch (err) {
+                console.error('Error loading preset:', err);
+                setPresetStatus(`Load failed: ${err.message}`);
+            }
+        });
+    }
+    if (deleteBtn && select) {
+        deleteBtn.addEventListener('click', () => {
+            if (!select.value) return;
+            deletePreset(select.value);
+            setPresetStatus(`Deleted "${select.value}"`);
+            renderPresetList();
+        });
+    }
+    if (exportBtn) {
+        exportBtn.addEventListener('click', () => {
+            const json = JSON.stringify(serializePreset(), null, 2);
+            downloadBlob(new Blob([json], { type: 'application/json' }), 'hand-pose-music-preset.json');
+        });
+    }
+    if (importBtn && importInput) {
+        importBtn.addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', async () => {
+            const file = importInput.files[0];
+            importInput.value = '';
+            if (!file) return;
+            try {
+                applyPreset(JSON.parse(await file.text()));
+                setPresetStatus(`Imported ${file.name}`);
+            } catch (err) {
+                console.error('Error importing preset:', err);
+                setPresetStatus(`Import failed: ${err.message}`);
+            }
+        });
+    }
+    if (linkBtn) {
+        linkBtn.addEventListener('click', async () => {
+            const link = getPresetLink();
+            history.replaceState(null, '', link);
+            try {
+                await navigator.clipboard.writeText(link);
+                setPresetStatus('Link copied (custom gestures not included)');
+            } catch (err) {
+                setPresetStatus('Link is in the address bar (custom gestures not included)');
+            }
+        });
+    }
+    renderPresetList();
+    loadPresetFromHash();
+}
+
+initPresetControls();
+
 // Initialize on page load
 window.addEventListener('load', () => {
     gestureDisplay.textContent = 'Click "Start Camera" to begin';
@@ -0,0 +1,305 @@
+// ============================================
+// Gesture Recognition Functions
+// ============================================
+// The pose classifier on its own: no DOM, no Tone.js. The page loads this before app.js
+// (everything below becomes a global, like app.js itself) and Node can require() it for the
+// classifier regression tests (test/gestures.test.js).
+// Landmark indices per finger: [MCP (or CMC for the thumb), PIP, DIP, TIP]
+const FINGER_JOINTS = {
+    thumb: [1, 2, 3, 4],
+    index: [5, 6, 7, 8],
+    middle: [9, 10, 11, 12],
+    ring: [13, 14, 15, 16],
+    pinky: [17, 18, 19, 20],
+};
+
+// Total bend (degrees) over a finger's two upper joints. Below EXTENDED it counts as straight,
+// above CURLED as folded; in between the previous state is kept (hysteresis).
+const FINGER_EXTENDED_BEND = 50;
+const FINGER_CURLED_BEND = 75;
+const THUMB_EXTENDED_BEND = 40;
+const THUMB_CURLED_BEND = 60;
+
+// Frames a new pose must be seen before the output changes; dropping to "no gesture" takes longer
+const GESTURE_ENTER_FRAMES = 4;
+const GESTURE_EXIT_FRAMES = 8;
+
+function vecSub(a, b) {
+    return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+}
+
+function vecDot(a, b) {
+    return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+function vecCross(a, b) {
+    return { x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x };
+}
+
+function vecLength(a) {
+    return Math.hypot(a.x, a.y, a.z);
+}
+
+function vecNormalize(a) {
+    const len = vecLength(a) || 1;
+    return { x: a.x / len, y: a.y / len, z: a.z / len };
+}
+
+function angleBetween(a, b) {
+    const cos = vecDot(a, b) / ((vecLength(a) * vecLength(b)) || 1);
+    return Math.acos(Math.max(-1, Math.min(1, cos))) * 180 / Math.PI;
+}
+
+// Width / height of the image the landmarks come from; app.js keeps it in step with the camera
+let landmarkAspect = 640 / 480;
+
+function setLandmarkAspect(aspect) {
+    if (Number.isFinite(aspect) && aspect > 0) landmarkAspect = aspect;
+}
+
+// Landmarks are normalized to image width/height; undo the aspect ratio so angles are real.
+// z uses roughly the same scale as x.
+function toHandPoints(landmarks) {
+    return landmarks.map(p => ({ x: p.x * landmarkAspect, y: p.y, z: (p.z || 0) * landmarkAspect }));
+}
+
+// The hand's own frame: `up` runs wrist -> middle knuckle, `across` index -> pinky knuckle,
+// `normal` points out of the palm. Everything is expressed relative to it so rotation doesn't matter.
+function getHandFrame(points) {
+    const up = vecNormalize(vecSub(points[9], points[0]));
+    const rawAcross = vecSub(points[17], points[5]);
+    const across = vecNormalize(vecSub(rawAcross, {
+        x: up.x * vecDot(rawAcross, up),
+        y: up.y * vecDot(rawAcross, up),
+        z: up.z * vecDot(rawAcross, up),
+    }));
+    return {
+        up,
+        across,
+        normal: vecCross(across, up),
+        palmLength: vecLength(vecSub(points[9], points[0])) || 1,
+        palmWidth: vecLength(vecSub(points[17], points[5])) || 1,
+    };
+}
+
+function toHandFrame(vector, frame) {
+    return {
+        x: vecDot(vector, frame.across),
+        y: vecDot(vector, frame.up),
+        z: vecDot(vector, frame.normal),
+    };
+}
+
+function getFingerBend(points, finger) {
+    const [base, mid, upper, tip] = FINGER_JOINTS[finger];
+    const first = vecSub(points[mid], points[base]);
+    const second = vecSub(points[upper], points[mid]);
+    const third = vecSub(points[tip], points[upper]);
+    return angleBetween(first, second) + angleBetween(second, third);
+}
+
+function extractFingerStates(landmarks, previous = null) {
+    // Return true if finger is extended, judged by how much its joints bend
+    const points = toHandPoints(landmarks);
+    const frame = getHandFrame(points);
+    const states = {};
+
+    for (const finger of Object.keys(FINGER_JOINTS)) {
+        const bend = getFingerBend(points, finger);
+        const isThumb = finger === 'thumb';
+        const extendedBelow = isThumb ? THUMB_EXTENDED_BEND : FINGER_EXTENDED_BEND;
+        const curledAbove = isThumb ? THUMB_CURLED_BEND : FINGER_CURLED_BEND;
+
+        let extended;
+        if (bend < extendedBelow) {
+            extended = true;
+        } else if (bend > curledAbove) {
+            extended = false;
+        } else {
+            extended = previous ? previous[finger] : bend < (extendedBelow + curledAbove) / 2;
+        }
+
+        if (isThumb && extended) {
+            // A straight thumb tucked against the palm isn't "out"
+            const tipFromIndexKnuckle = vecLength(vecSub(points[4], points[5]));
+            extended = tipFromIndexKnuckle > frame.palmWidth * 0.6;
+        } else if (!isThumb && extended) {
+            // Straight but bent back at the knuckle into the palm still counts as folded
+            const direction = toHandFrame(vecSub(points[FINGER_JOINTS[finger][3]], points[FINGER_JOINTS[finger][0]]), frame);
+            extended = direction.y > 0;
+        }
+        states[finger] = extended;
+    }
+    return states;
+}
+
+function getHandGesture(landmarks, handState = null) {
+    if (!landmarks || landmarks.length < 21) return null;
+
+    const fingers = extractFingerStates(landmarks, handState && handState.fingers);
+    if (handState) handState.fingers = fingers;
+
+    // OK sign (thumb and index touching, other fingers extended)
+    if (isOKSign(landmarks, fingers)) {
+        return 'ok';
+    }
+
+    // Thumbs up (thumb extended upward, other fingers folded)
+    if (isThumbsUp(landmarks, fingers)) {
+        return 'thumbs_up';
+    }
+
+    // Thumbs down (thumb extended downward, other fingers folded)
+    if (isThumbsDown(landmarks, fingers)) {
+        return 'thumbs_down';
+    }
+
+    // Closed fist (everything folded, thumb included)
+    if (othersFolded(fingers) && !fingers.thumb) {
+        return 'fist';
+    }
+
+    // Call me / shaka (thumb and pinky out, the middle three folded)
+    if (fingers.thumb && fingers.pinky &&
+        !fingers.index && !fingers.middle && !fingers.ring) {
+        return 'shaka';
+    }
+
+    // Peace sign (index and middle fingers extended, others folded)
+    if (fingers.index && fingers.middle &&
+        !fingers.ring && !fingers.pinky && !fingers.thumb) {
+        return 'peace';
+    }
+
+    // Pointing at camera (index extended toward the lens, other fingers folded)
+    if (isPointingAtCamera(landmarks, fingers)) {
+        return 'point_camera';
+    }
+
+    // Pointing (only index extended, across the image plane)
+    if (fingers.index && !fingers.middle &&
+        !fingers.ring && !fingers.pinky && !fingers.thumb) {
+        return 'point';
+    }
+
+    // Rock on (index and pinky extended, middle and ring folded)
+    if (fingers.index && fingers.pinky &&
+        !fingers.middle && !fingers.ring) {
+        return 'rock';
+    }
+
+    // Palm hand (all fingers extended, palm open)
+    if (isPalmOpen(landmarks, fingers)) {
+        return 'palm';
+    }
+
+    return null;
+}
+
+// Direction of the thumb in image space (y grows downward), so "up" means up on screen
+function getThumbDirection(landmarks) {
+    const points = toHandPoints(landmarks);
+    return vecNormalize(vecSub(points[4], points[2]));
+}
+
+function othersFolded(fingers) {
+    return !fingers.index && !fingers.middle && !fingers.ring && !fingers.pinky;
+}
+
+function isThumbsUp(landmarks, fingers = extractFingerStates(landmarks)) {
+    // Thumb should be extended, other fingers folded and the thumb pointing up the screen
+    return fingers.thumb && othersFolded(fingers) && getThumbDirection(landmarks).y < -0.5;
+}
+
+function isThumbsDown(landmarks, fingers = extractFingerStates(landmarks)) {
+    // Thumb should be extended, other fingers folded and the thumb pointing down the screen
+    return fingers.thumb && othersFolded(fingers) && getThumbDirection(landmarks).y > 0.5;
+}
+
+function isOKSign(landmarks, fingers = extractFingerStates(landmarks)) {
+    const points = toHandPoints(landmarks);
+    const frame = getHandFrame(points);
+
+    // Thumb and index tips touching, measured against palm size so distance to camera doesn't matter
+    const pinch = vecLength(vecSub(points[4], points[8])) / frame.palmLength;
+
+    // Other fingers should be extended
+    return pinch < 0.35 && fingers.middle && fingers.ring && fingers.pinky;
+}
+
+function isPointingAtCamera(landmarks, fingers = extractFingerStates(landmarks)) {
+    // Index extended, other fingers folded
+    if (!fingers.index || fingers.middle || fingers.ring || fingers.pinky) return false;
+
+    const points = toHandPoints(landmarks);
+    const frame = getHandFrame(points);
+    const indexVector = vecSub(points[8], points[5]);
+    const direction = vecNormalize(indexVector);
+
+    // Either depth says the finger points into the lens, or the finger looks foreshortened
+    const foreshortened = Math.hypot(indexVector.x, indexVector.y) / frame.palmLength < 0.45;
+    return Math.abs(direction.z) > 0.6 || foreshortened;
+}
+
+function isPalmOpen(landmarks, fingers = extractFingerStates(landmarks)) {
+    // All fingers extended
+    const allExtended = fingers.index && fingers.middle && fingers.ring && fingers.pinky && fingers.thumb;
+    if (!allExtended) return false;
+
+    // Fingers roughly parallel to each other in the hand's frame (flat, not clawed)
+    const points = toHandPoints(landmarks);
+    const frame = getHandFrame(points);
+    const fingerUps = ['index', 'middle', 'ring', 'pinky'].map(finger => {
+        const [base, , , tip] = FINGER_JOINTS[finger];
+        return vecNormalize(toHandFrame(vecSub(points[tip], points[base]), frame)).y;
+    });
+    return Math.min(...fingerUps) > 0.5;
+}
+
+// Per-hand temporal filter: a pose has to hold for a few frames before it becomes the output,
+// and the current gesture survives short dropouts. Also carries finger-state hysteresis.
+class GestureStabilizer {
+    constructor({ enterFrames = GESTURE_ENTER_FRAMES, exitFrames = GESTURE_EXIT_FRAMES } = {}) {
+        this.enterFrames = enterFrames;
+        this.exitFrames = exitFrames;
+        this.gesture = null;
+        this.candidate = null;
+        this.candidateFrames = 0;
+        this.fingers = null;
+    }
+
+    update(rawGesture) {
+        if (rawGesture === this.gesture) {
+            this.candidate = null;
+            this.candidateFrames = 0;
+            return this.gesture;
+        }
+
+        if (rawGesture === this.candidate) {
+            this.candidateFrames++;
+        } else {
+            this.candidate = rawGesture;
+            this.candidateFrames = 1;
+        }
+
+        const needed = rawGesture === null ? this.exitFrames : this.enterFrames;
+        if (this.candidateFrames >= needed) {
+            this.gesture = rawGesture;
+            this.candidate = null;
+            this.candidateFrames = 0;
+        }
+        return this.gesture;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        FINGER_JOINTS,
+        setLandmarkAspect,
+        toHandPoints,
+        getHandFrame,
+        extractFingerStates,
+        getHandGesture,
+        GestureStabilizer,
+    };
+}
@@ -0,0 +1,274 @@
+// ============================================
+// Jam Session Relay
+// ============================================
+// A tiny WebSocket relay for networked jam sessions. No dependencies:
+//
+//     node jam-relay.js [port]        (default 8787)
+//
+// Browsers connect to ws://<host>:<port>/<room>. Every JSON message a participant sends is
+// forwarded to everyone else in the same room, tagged with the sender's id. The relay also
+// answers clock pings (so clients can agree on a shared clock) and remembers the room's
+// tempo so late joiners land on the same beat grid.
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = parseInt(process.argv[2] || process.env.PORT || '8787', 10);
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 64 * 1024;
+const HEARTBEAT_INTERVAL = 30000;
+
+const OPCODE_CONTINUATION = 0x0;
+const OPCODE_TEXT = 0x1;
+const OPCODE_CLOSE = 0x8;
+const OPCODE_PING = 0x9;
+const OPCODE_PONG = 0xA;
+
+// room name -> { clients: Map<id, client>, tempo }
+const rooms = new Map();
+let nextClientId = 1;
+
+// ============================================
+// WebSocket framing (RFC 6455, server side)
+// ============================================
+function encodeFrame(opcode, payload) {
+    const length = payload.length;
+    let header;
+    if (length < 126) {
+        header = Buffer.alloc(2);
+        header[1] = length;
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    header[0] = 0x80 | opcode;
+    return Buffer.concat([header, payload]);
+}
+
+// Pulls complete frames off the front of the buffer; returns the frames and the leftover bytes
+function decodeFrames(buffer) {
+    const frames = [];
+    let offset = 0;
+    while (buffer.length - offset >= 2) {
+        const first = buffer[offset];
+        const second = buffer[offset + 1];
+        let length = second & 0x7F;
+        let headerLength = 2;
+        if (length === 126) {
+            if (buffer.length - offset < 4) break;
+            length = buffer.readUInt16BE(offset + 2);
+            headerLength = 4;
+        } else if (length === 127) {
+            if (buffer.length - offset < 10) break;
+            length = Number(buffer.readBigUInt64BE(offset + 2));
+            headerLength = 10;
+        }
+        if (length > MAX_MESSAGE_BYTES) {
+            throw new Error(`Frame too large (${length} bytes)`);
+        }
+        // RFC 6455 5.1: every client-to-server frame must be masked
+        if ((second & 0x80) === 0) {
+            throw new Error('Unmasked client frame');
+        }
+        const maskLength = 4;
+        const frameLength = headerLength + maskLength + length;
+        if (buffer.length - offset < frameLength) break;
+
+        const payload = Buffer.from(buffer.subarray(offset + headerLength + maskLength, offset + frameLength));
+        const mask = buffer.subarray(offset + headerLength, offset + headerLength + 4);
+        for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+        frames.push({ fin: (first & 0x80) !== 0, opcode: first & 0x0F, payload });
+        offset += frameLength;
+    }
+    return { frames, rest: buffer.subarray(offset) };
+}
+
+// ============================================
+// Clients & rooms
+// ============================================
+function send(client, message) {
+    if (client.socket.destroyed) return;
+    client.socket.write(encodeFrame(OPCODE_TEXT, Buffer.from(JSON.stringify(message))));
+}
+
+function broadcast(room, message, exceptId = null) {
+    for (const client of room.clients.values()) {
+        if (client.id !== exceptId) send(client, message);
+    }
+}
+
+function describeClient(client) {
+    return { id: client.id, name: client.name };
+}
+
+function leaveRoom(client) {
+    const room = rooms.get(client.roomName);
+    if (!room || !room.clients.delete(client.id)) return;
+    if (client.name !== null) broadcast(room, { type: 'leave', id: client.id });
+    if (room.clients.size === 0) rooms.delete(client.roomName);
+    console.log(`#${client.id} left "${client.roomName}" (${room.clients.size} remaining)`);
+}
+
+function handleMessage(client, text) {
+    let message;
+    try {
+        message = JSON.parse(text);
+    } catch (err) {
+        return;
+    }
+    if (!message || typeof message.type !== 'string') return;
+    const room = rooms.get(client.roomName);
+
+    switch (message.type) {
+        case 'hello': {
+            if (client.name !== null) return;
+            client.name = String(message.name || `Player ${client.id}`).slice(0, 32);
+            const others = [...room.clients.values()].filter(other => other !== client && other.name !== null);
+            send(client, {
+                type: 'welcome',
+                id: client.id,
+                participants: others.map(describeClient),
+                tempo: room.tempo,
+            });
+            broadcast(room, { type: 'join', participant: describeClient(client) }, client.id);
+            console.log(`#${client.id} "${client.name}" joined "${client.roomName}"`);
+            break;
+        }
+        case 'ping':
+            send(client, { type: 'pong', sent: message.sent, serverTime: Date.now() });
+            break;
+        case 'tempo':
+            if (client.name === null) return;
+            room.tempo = {
+                bpm: message.bpm,
+                beatsPerBar: message.beatsPerBar,
+                anchorTime: message.anchorTime,
+                anchorTicks: message.anchorTicks,
+            };
+            broadcast(room, { ...room.tempo, type: 'tempo', from: client.id }, client.id);
+            break;
+        default:
+            // Everything else (notes, chords, drum hits) is relayed untouched
+            if (client.name === null) return;
+            broadcast(room, { ...message, from: client.id }, client.id);
+    }
+}
+
+function handleFrames(client, frames) {
+    for (const frame of frames) {
+        switch (frame.opcode) {
+            case OPCODE_TEXT:
+            case OPCODE_CONTINUATION:
+                // The per-frame limit alone would let a message grow forever across continuations
+                client.fragmentBytes += frame.payload.length;
+                if (client.fragmentBytes > MAX_MESSAGE_BYTES) {
+                    throw new Error(`Message too large (${client.fragmentBytes} bytes)`);
+                }
+                client.fragments.push(frame.payload);
+                if (frame.fin) {
+                    const text = Buffer.concat(client.fragments).toString('utf8');
+                    client.fragments = [];
+                    client.fragmentBytes = 0;
+                    handleMessage(client, text);
+                }
+                break;
+            case OPCODE_PING:
+                client.socket.write(encodeFrame(OPCODE_PONG, frame.payload));
+                break;
+            case OPCODE_PONG:
+                client.alive = true;
+                break;
+            case OPCODE_CLOSE:
+                client.socket.end(encodeFrame(OPCODE_CLOSE, Buffer.alloc(0)));
+                break;
+            default:
+                // Binary frames aren't part of the protocol
+                break;
+        }
+    }
+}
+
+// ============================================
+// HTTP server & upgrade handshake
+// ============================================
+// ws://host/<room> -> room name, or null when the path can't be parsed
+function parseRoomName(url) {
+    try {
+        const path = new URL(url, 'http://relay').pathname;
+        return decodeURIComponent(path.replace(/^\/+/, '')) || 'default';
+    } catch (err) {
+        return null;
+    }
+}
+
+const server = http.createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain' });
+    res.end('Hand Pose Music jam relay: connect with a WebSocket to ws://<host>:<port>/<room>\n');
+});
+
+server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    const roomName = parseRoomName(req.url);
+    if (!key || roomName === null || String(req.headers.upgrade).toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', '',
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+
+    if (!rooms.has(roomName)) rooms.set(roomName, { clients: new Map(), tempo: null });
+
+    // name stays null until the client says hello; until then it neither sees nor is seen
+    const client = { id: nextClientId++, name: null, roomName, socket, fragments: [], fragmentBytes: 0, alive: true };
+    rooms.get(roomName).clients.set(client.id, client);
+
+    let pending = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+        pending = Buffer.concat([pending, chunk]);
+        try {
+            const { frames, rest } = decodeFrames(pending);
+            pending = rest;
+            handleFrames(client, frames);
+        } catch (err) {
+            console.warn(`#${client.id}: ${err.message}`);
+            socket.destroy();
+        }
+    });
+    // HTTP sockets are half-open by default; finish our side when the browser hangs up
+    socket.on('end', () => socket.end());
+    socket.on('close', () => leaveRoom(client));
+    socket.on('error', () => socket.destroy());
+});
+
+// Drop connections that stop answering pings (closed laptops, dropped Wi-Fi)
+const heartbeat = setInterval(() => {
+    for (const room of rooms.values()) {
+        for (const client of room.clients.values()) {
+            if (!client.alive) {
+                client.socket.destroy();
+                continue;
+            }
+            client.alive = false;
+            client.socket.write(encodeFrame(OPCODE_PING, Buffer.alloc(0)));
+        }
+    }
+}, HEARTBEAT_INTERVAL);
+
+server.on('close', () => clearInterval(heartbeat));
+
+server.listen(PORT, () => {
+    console.log(`Jam relay listening on ws://localhost:${PORT}/<room>`);
+});
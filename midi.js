@@ -0,0 +1,409 @@
+// ============================================
+// MIDI: Web MIDI output backend & Standard MIDI Files
+// ============================================
+// No DOM, no Tone.js: the page loads this before app.js (everything below becomes a global, like
+// app.js itself) and Node can require() it for tests.
+//
+// Events are the performance events app.js emits: { type, note, hand, velocity, instrument, time }
+// with note names like 'C#4' and times in seconds.
+
+const MIDI_PPQ = 480;
+
+// General MIDI percussion channel (channel 10, zero-based)
+const DRUM_CHANNEL = 9;
+
+// Continuous controls (0..1) are sent as these CCs; theremin pitch goes out as pitch bend
+const MIDI_CONTROL_CCS = {
+    'modulation': 1,   // mod wheel (vibrato)
+    'volume': 11,   // expression
+    'cutoff': 74,   // brightness
+};
+const MIDI_CC_SUSTAIN = 64;
+
+// Note names are parsed here rather than borrowed from app.js, so the module stands alone
+const MIDI_SHARP_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const MIDI_FLAT_NAMES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+function midiFromNoteName(note) {
+    const match = /^([A-G][#b]?)(-?\d+)$/.exec(note);
+    if (!match) return null;
+    let pc = MIDI_SHARP_NAMES.indexOf(match[1]);
+    if (pc === -1) pc = MIDI_FLAT_NAMES.indexOf(match[1]);
+    if (pc === -1) return null;
+    return (parseInt(match[2], 10) + 1) * 12 + pc;
+}
+
+function noteNameFromMidi(midi) {
+    return `${MIDI_SHARP_NAMES[((midi % 12) + 12) % 12]}${Math.floor(midi / 12) - 1}`;
+}
+
+// ============================================
+// Web MIDI output
+// ============================================
+// Sends notes/CCs to anything that looks like a Web MIDI output: an object with send(bytes, timestamp).
+// A mock port (e.g. { send(bytes, ts) { sent.push(bytes) } }) can be used to test it headlessly
+// (see test/midi.test.js).
+class MidiOutputBackend {
+    constructor(port, options = {}) {
+        this.port = port;
+        this.channel = options.channel ?? 0;
+        this.handChannels = options.handChannels || {};
+        // event time -> port timestamp (ms on the port's clock); without a clock everything is
+        // sent immediately
+        this.toTimestamp = options.toTimestamp || (() => undefined);
+        this.lastControlValues = {};
+        this.activeChannels = new Set([this.channel]);
+    }
+
+    // Drum-kit notes always go to the General MIDI percussion channel
+    channelFor(hand, instrument) {
+        const channel = instrument === 'drums'
+            ? DRUM_CHANNEL
+            : (hand in this.handChannels ? this.handChannels[hand] : this.channel);
+        this.activeChannels.add(channel);
+        return channel;
+    }
+
+    send(bytes, time) {
+        try {
+            this.port.send(bytes, time === undefined ? undefined : this.toTimestamp(time));
+        } catch (err) {
+            console.warn('MIDI send error:', err);
+        }
+    }
+
+    noteOn(note, velocity, hand, time, instrument) {
+        const midi = midiFromNoteName(note);
+        if (midi === null) return;
+        const value = Math.max(1, Math.min(127, Math.round((velocity ?? 1) * 127)));
+        this.send([0x90 | this.channelFor(hand, instrument), midi, value], time);
+    }
+
+    noteOff(note, hand, time, instrument) {
+        const midi = midiFromNoteName(note);
+        if (midi === null) return;
+        this.send([0x80 | this.channelFor(hand, instrument), midi, 0x40], time);
+    }
+
+    controlChange(controller, value, hand, time) {
+        const channel = this.channelFor(hand);
+        const data = Math.max(0, Math.min(127, Math.round(value)));
+        const key = `${channel}|${controller}`;
+        // skip repeats so per-frame controls don't flood the port
+        if (this.lastControlValues[key] === data) return;
+        this.lastControlValues[key] = data;
+        this.send([0xb0 | channel, controller, data], time);
+    }
+
+    pitchBend(amount, hand, time) {
+        // amount in -1..1
+        const channel = this.channelFor(hand);
+        const value = Math.max(0, Math.min(16383, Math.round((amount + 1) * 8192)));
+        const key = `${channel}|bend`;
+        if (this.lastControlValues[key] === value) return;
+        this.lastControlValues[key] = value;
+        this.send([0xe0 | channel, value & 0x7f, (value >> 7) & 0x7f], time);
+    }
+
+    sustain(on, time) {
+        for (const channel of this.activeChannels) {
+            this.send([0xb0 | channel, MIDI_CC_SUSTAIN, on ? 127 : 0], time);
+        }
+    }
+
+    allNotesOff() {
+        for (const channel of this.activeChannels) {
+            this.send([0xb0 | channel, MIDI_CC_SUSTAIN, 0]);
+            this.send([0xb0 | channel, 123, 0]);
+        }
+    }
+
+    handleEvent(event) {
+        switch (event.type) {
+            case 'noteon':
+                this.noteOn(event.note, event.velocity, event.hand, event.time, event.instrument);
+                break;
+            case 'noteoff':
+                this.noteOff(event.note, event.hand, event.time, event.instrument);
+                break;
+            case 'sustain':
+                this.sustain(event.value, event.time);
+                break;
+            case 'control':
+                if (event.control === 'pitch') {
+                    this.pitchBend(event.value * 2 - 1, event.hand, event.time);
+                } else if (event.control in MIDI_CONTROL_CCS) {
+                    this.controlChange(MIDI_CONTROL_CCS[event.control], event.value * 127, event.hand, event.time);
+                }
+                break;
+        }
+    }
+}
+
+// ============================================
+// Standard MIDI Files
+// ============================================
+function writeVarLength(bytes, value) {
+    const stack = [value & 0x7f];
+    value >>= 7;
+    while (value > 0) {
+        stack.push((value & 0x7f) | 0x80);
+        value >>= 7;
+    }
+    while (stack.length) bytes.push(stack.pop());
+}
+
+function writeUint32(bytes, value) {
+    bytes.push((value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff);
+}
+
+function writeChunk(bytes, id, data) {
+    for (const c of id) bytes.push(c.charCodeAt(0));
+    writeUint32(bytes, data.length);
+    for (const b of data) bytes.push(b);
+}
+
+function textBytes(text) {
+    return Array.from(new TextEncoder().encode(text));
+}
+
+// Encode track events ({ tick, data: [...] }) into an MTrk body
+function encodeTrack(events) {
+    const sorted = events
+        .map((e, i) => ({ ...e, order: i }))
+        .sort((a, b) => a.tick - b.tick || a.order - b.order);
+    const bytes = [];
+    let lastTick = 0;
+    for (const e of sorted) {
+        writeVarLength(bytes, Math.max(0, e.tick - lastTick));
+        bytes.push(...e.data);
+        lastTick = Math.max(lastTick, e.tick);
+    }
+    bytes.push(0x00, 0xff, 0x2f, 0x00); // end of track
+    return bytes;
+}
+
+function metaEvent(tick, type, data) {
+    const bytes = [0xff, type];
+    writeVarLength(bytes, data.length);
+    return { tick, data: bytes.concat(data) };
+}
+
+// Build a Type 1 SMF: a conductor track, then one track per hand
+function encodeMidiFile(events, { bpm = 120, beatsPerBar = 4, ppq = MIDI_PPQ } = {}) {
+    const toTicks = seconds => Math.max(0, Math.round(seconds * (bpm / 60) * ppq));
+    const microsPerQuarter = Math.round(60000000 / bpm);
+
+    const conductor = [
+        metaEvent(0, 0x03, textBytes('Hand Pose Music')),
+        metaEvent(0, 0x51, [(microsPerQuarter >> 16) & 0xff, (microsPerQuarter >> 8) & 0xff, microsPerQuarter & 0xff]),
+        metaEvent(0, 0x58, [Math.max(1, Math.round(beatsPerBar)), 2, 24, 8]),
+    ];
+
+    const hands = [];
+    for (const e of events) {
+        if ((e.type === 'noteon' || e.type === 'noteoff') && !hands.includes(e.hand || 'hand')) {
+            hands.push(e.hand || 'hand');
+        }
+    }
+
+    const tracks = hands.map((hand, index) => {
+        const channel = index % 16;
+        const trackEvents = [metaEvent(0, 0x03, textBytes(hand))];
+        const open = {};
+        let lastTick = 0;
+
+        for (const e of events) {
+            const tick = toTicks(e.time);
+            lastTick = Math.max(lastTick, tick);
+            const midi = e.note ? midiFromNoteName(e.note) : null;
+            const noteChannel = e.instrument === 'drums' ? DRUM_CHANNEL : channel;
+            const openKey = `${noteChannel}|${midi}`;
+
+            if (e.type === 'noteon' && (e.hand || 'hand') === hand && midi !== null) {
+                const velocity = Math.max(1, Math.min(127, Math.round((e.velocity ?? 1) * 127)));
+                trackEvents.push({ tick, data: [0x90 | noteChannel, midi, velocity] });
+                open[openKey] = (open[openKey] || 0) + 1;
+            } else if (e.type === 'noteoff' && (e.hand || 'hand') === hand && midi !== null && open[openKey]) {
+                trackEvents.push({ tick, data: [0x80 | noteChannel, midi, 0x40] });
+                open[openKey]--;
+            } else if (e.type === 'sustain') {
+                trackEvents.push({ tick, data: [0xb0 | channel, 64, e.value ? 127 : 0] });
+            } else if (e.type === 'oscillator') {
+                trackEvents.push(metaEvent(tick, 0x01, textBytes(`oscillator: ${e.oscillator}`)));
+            }
+        }
+
+        // Close anything still held (e.g. Space sustain not yet released)
+        for (const [key, count] of Object.entries(open)) {
+            const [noteChannel, midi] = key.split('|').map(Number);
+            for (let i = 0; i < count; i++) {
+                trackEvents.push({ tick: lastTick, data: [0x80 | noteChannel, midi, 0x40] });
+            }
+        }
+        return trackEvents;
+    });
+
+    const bytes = [];
+    const header = [0x00, 0x01, (tracks.length + 1) >> 8, (tracks.length + 1) & 0xff, (ppq >> 8) & 0xff, ppq & 0xff];
+    writeChunk(bytes, 'MThd', header);
+    writeChunk(bytes, 'MTrk', encodeTrack(conductor));
+    for (const track of tracks) writeChunk(bytes, 'MTrk', encodeTrack(track));
+    return new Uint8Array(bytes);
+}
+
+// Parse an SMF (format 0 or 1) into raw tracks of { tick, type, ... } events
+function parseMidiFile(buffer) {
+    const data = new Uint8Array(buffer);
+    let pos = 0;
+
+    const readUint32 = () => {
+        const v = (data[pos] << 24 | data[pos + 1] << 16 | data[pos + 2] << 8 | data[pos + 3]) >>> 0;
+        pos += 4;
+        return v;
+    };
+    const readUint16 = () => {
+        const v = data[pos] << 8 | data[pos + 1];
+        pos += 2;
+        return v;
+    };
+    const readVarLength = () => {
+        let value = 0;
+        let b;
+        do {
+            b = data[pos++];
+            value = (value << 7) | (b & 0x7f);
+        } while (b & 0x80);
+        return value;
+    };
+    const readId = () => String.fromCharCode(data[pos], data[pos + 1], data[pos + 2], data[pos + 3]);
+
+    if (readId() !== 'MThd') throw new Error('Not a Standard MIDI File');
+    pos += 4;
+    const headerLength = readUint32();
+    const headerEnd = pos + headerLength;
+    const format = readUint16();
+    const trackCount = readUint16();
+    const division = readUint16();
+    if (division & 0x8000) throw new Error('SMPTE time division is not supported');
+    pos = headerEnd;
+
+    const tracks = [];
+    for (let t = 0; t < trackCount && pos < data.length; t++) {
+        const id = readId();
+        pos += 4;
+        const length = readUint32();
+        const end = pos + length;
+        if (id !== 'MTrk') {
+            pos = end;
+            continue;
+        }
+
+        const events = [];
+        let tick = 0;
+        let runningStatus = 0;
+        let name = null;
+        while (pos < end) {
+            tick += readVarLength();
+            let status = data[pos];
+            if (status & 0x80) {
+                pos++;
+            } else if (runningStatus) {
+                status = runningStatus;
+            } else {
+                throw new Error('Data byte without a status byte');
+            }
+
+            if (status === 0xff) {
+                // meta and sysex events cancel running status
+                runningStatus = 0;
+                const type = data[pos++];
+                const len = readVarLength();
+                const payload = data.subarray(pos, pos + len);
+                pos += len;
+                if (type === 0x51) {
+                    events.push({ tick, type: 'tempo', microsPerQuarter: payload[0] << 16 | payload[1] << 8 | payload[2] });
+                } else if (type === 0x03) {
+                    name = new TextDecoder().decode(payload);
+                }
+            } else if (status === 0xf0 || status === 0xf7) {
+                runningStatus = 0;
+                pos += readVarLength();
+            } else {
+                runningStatus = status;
+                const kind = status & 0xf0;
+                const channel = status & 0x0f;
+                const d1 = data[pos++];
+                const d2 = (kind === 0xc0 || kind === 0xd0) ? 0 : data[pos++];
+                if (kind === 0x90 && d2 > 0) {
+                    events.push({ tick, type: 'noteon', channel, midi: d1, velocity: d2 / 127 });
+                } else if (kind === 0x80 || kind === 0x90) {
+                    events.push({ tick, type: 'noteoff', channel, midi: d1 });
+                } else if (kind === 0xb0 && d1 === 64) {
+                    events.push({ tick, type: 'sustain', channel, value: d2 >= 64 });
+                }
+            }
+        }
+        pos = end;
+        tracks.push({ name, events });
+    }
+
+    return { format, ppq: division, tracks };
+}
+
+// Turn a parsed file into timed notes ({ time, duration, note, velocity, track }) using its tempo map
+function midiFileToNotes(midiFile) {
+    const tempoChanges = midiFile.tracks
+        .flatMap(track => track.events.filter(e => e.type === 'tempo'))
+        .sort((a, b) => a.tick - b.tick);
+    if (tempoChanges.length === 0 || tempoChanges[0].tick > 0) {
+        tempoChanges.unshift({ tick: 0, microsPerQuarter: 500000 });
+    }
+
+    const tickToSeconds = (tick) => {
+        let seconds = 0;
+        for (let i = 0; i < tempoChanges.length; i++) {
+            const change = tempoChanges[i];
+            if (change.tick >= tick) break;
+            const segmentEnd = Math.min(tick, i + 1 < tempoChanges.length ? tempoChanges[i + 1].tick : tick);
+            seconds += (segmentEnd - change.tick) * change.microsPerQuarter / 1e6 / midiFile.ppq;
+        }
+        return seconds;
+    };
+
+    const notes = [];
+    midiFile.tracks.forEach((track, trackIndex) => {
+        const open = {};
+        for (const e of track.events) {
+            const key = `${e.channel}|${e.midi}`;
+            if (e.type === 'noteon') {
+                if (!open[key]) open[key] = [];
+                open[key].push(e);
+            } else if (e.type === 'noteoff' && open[key] && open[key].length > 0) {
+                const on = open[key].shift();
+                const time = tickToSeconds(on.tick);
+                notes.push({
+                    time,
+                    duration: Math.max(0.01, tickToSeconds(e.tick) - time),
+                    note: noteNameFromMidi(on.midi),
+                    velocity: on.velocity,
+                    track: track.name || `track${trackIndex}`,
+                });
+            }
+        }
+    });
+    return notes.sort((a, b) => a.time - b.time);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MIDI_PPQ,
+        DRUM_CHANNEL,
+        MIDI_CONTROL_CCS,
+        MIDI_CC_SUSTAIN,
+        MidiOutputBackend,
+        encodeMidiFile,
+        parseMidiFile,
+        midiFileToNotes,
+    };
+}
@@ -0,0 +1,67 @@
+// Run with: node --test
+// Classifier regression checks against landmark recordings in test/fixtures/. A fixture is a file
+// saved with the landmark recorder where every frame also lists the gesture expected for each
+// hand ("expected": ["peace", null, ...]).
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { setLandmarkAspect, getHandGesture, GestureStabilizer } = require('../gestures.js');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures');
+
+function loadFixture(file) {
+    const recording = JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, file), 'utf8'));
+    assert.ok(Array.isArray(recording.frames), `${file} is not a landmark recording`);
+    for (const frame of recording.frames) {
+        assert.equal(frame.expected.length, frame.multiHandLandmarks.length, `${file} @${frame.t}ms: one expected gesture per hand`);
+    }
+    return recording;
+}
+
+// Raw gesture per hand for every frame, with the recording's image proportions
+function classifyRecording(recording) {
+    setLandmarkAspect(recording.aspect || 640 / 480);
+    return recording.frames.map(frame => frame.multiHandLandmarks.map(landmarks => getHandGesture(landmarks)));
+}
+
+const fixtures = fs.readdirSync(FIXTURE_DIR).filter(file => file.endsWith('.json'));
+
+for (const file of fixtures) {
+    test(`${file}: every frame is classified as expected`, () => {
+        const recording = loadFixture(file);
+        const results = classifyRecording(recording);
+        recording.frames.forEach((frame, i) => {
+            assert.deepEqual(results[i], frame.expected, `frame @${frame.t}ms`);
+        });
+    });
+
+    test(`${file}: the stabilized gesture settles on each held pose`, () => {
+        const recording = loadFixture(file);
+        setLandmarkAspect(recording.aspect || 640 / 480);
+        // hands are followed by their position in the frame, as MediaPipe reports them
+        const stabilizers = [];
+        recording.frames.forEach((frame, i) => {
+            frame.multiHandLandmarks.forEach((landmarks, hand) => {
+                if (!stabilizers[hand]) stabilizers[hand] = new GestureStabilizer();
+                const stabilizer = stabilizers[hand];
+                const gesture = stabilizer.update(getHandGesture(landmarks, stabilizer));
+                const next = recording.frames[i + 1];
+                const held = frame.expected[hand];
+                // the last frame of a held (non-empty) pose: the output must have caught up
+                if (held !== null && (!next || next.expected[hand] !== held)) {
+                    assert.equal(gesture, held, `hand ${hand} @${frame.t}ms`);
+                }
+            });
+        });
+    });
+}
+
+test('the stabilizer ignores single-frame glitches', () => {
+    const stabilizer = new GestureStabilizer({ enterFrames: 3, exitFrames: 5 });
+    const outputs = ['peace', 'peace', 'peace', 'rock', 'peace', null, null, 'peace']
+        .map(raw => stabilizer.update(raw));
+    assert.deepEqual(outputs, [null, null, 'peace', 'peace', 'peace', 'peace', 'peace', 'peace']);
+});
@@ -0,0 +1,131 @@
+// Run with: node --test
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    DRUM_CHANNEL,
+    MidiOutputBackend,
+    encodeMidiFile,
+    parseMidiFile,
+    midiFileToNotes,
+} = require('../midi.js');
+
+function createMockPort() {
+    const sent = [];
+    return { sent, send: (bytes, timestamp) => sent.push({ bytes, timestamp }) };
+}
+
+test('notes go out on the hand channel, drums on the percussion channel', () => {
+    const port = createMockPort();
+    const backend = new MidiOutputBackend(port, { channel: 5, handChannels: { left: 0, right: 1 } });
+    backend.handleEvent({ type: 'noteon', note: 'C4', velocity: 1, hand: 'right', instrument: 'synth' });
+    backend.handleEvent({ type: 'noteoff', note: 'C4', hand: 'right', instrument: 'synth' });
+    backend.handleEvent({ type: 'noteon', note: 'Eb3', velocity: 0.5, hand: 'left' });
+    backend.handleEvent({ type: 'noteon', note: 'C2', velocity: 1, hand: 'left', instrument: 'drums' });
+    backend.handleEvent({ type: 'noteon', note: 'A4', velocity: 1, hand: 'jam:3' });
+    assert.deepEqual(port.sent.map(m => m.bytes), [
+        [0x91, 60, 127],
+        [0x81, 60, 0x40],
+        [0x90, 51, 64],
+        [0x90 | DRUM_CHANNEL, 36, 127],
+        [0x95, 69, 127],
+    ]);
+});
+
+test('event times are converted with the injected clock', () => {
+    const port = createMockPort();
+    const backend = new MidiOutputBackend(port, { toTimestamp: time => 1000 + time * 1000 });
+    backend.handleEvent({ type: 'noteon', note: 'C4', velocity: 1, time: 0.25 });
+    assert.equal(port.sent[0].timestamp, 1250);
+
+    const immediate = createMockPort();
+    new MidiOutputBackend(immediate).handleEvent({ type: 'noteon', note: 'C4', velocity: 1, time: 0.25 });
+    assert.equal(immediate.sent[0].timestamp, undefined);
+});
+
+test('continuous controls skip repeated values', () => {
+    const port = createMockPort();
+    const backend = new MidiOutputBackend(port, { handChannels: { right: 1 } });
+    backend.handleEvent({ type: 'control', control: 'cutoff', value: 0.5, hand: 'right' });
+    backend.handleEvent({ type: 'control', control: 'cutoff', value: 0.5, hand: 'right' });
+    backend.handleEvent({ type: 'control', control: 'pitch', value: 0.5, hand: 'right' });
+    backend.handleEvent({ type: 'control', control: 'pitch', value: 1, hand: 'right' });
+    backend.handleEvent({ type: 'control', control: 'unknown', value: 1, hand: 'right' });
+    assert.deepEqual(port.sent.map(m => m.bytes), [
+        [0xb1, 74, 64],
+        [0xe1, 0x00, 0x40],
+        [0xe1, 0x7f, 0x7f],
+    ]);
+});
+
+test('sustain and all-notes-off reach every channel that has been used', () => {
+    const port = createMockPort();
+    const backend = new MidiOutputBackend(port, { handChannels: { left: 0, right: 1 } });
+    backend.handleEvent({ type: 'noteon', note: 'C4', velocity: 1, hand: 'right' });
+    port.sent.length = 0;
+    backend.handleEvent({ type: 'sustain', value: true });
+    assert.deepEqual(port.sent.map(m => m.bytes), [[0xb0, 64, 127], [0xb1, 64, 127]]);
+    port.sent.length = 0;
+    backend.allNotesOff();
+    assert.deepEqual(port.sent.map(m => m.bytes), [[0xb0, 64, 0], [0xb0, 123, 0], [0xb1, 64, 0], [0xb1, 123, 0]]);
+});
+
+test('a port that throws does not break the backend', () => {
+    const backend = new MidiOutputBackend({ send: () => { throw new Error('port closed'); } });
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        assert.doesNotThrow(() => backend.handleEvent({ type: 'noteon', note: 'C4', velocity: 1 }));
+    } finally {
+        console.warn = warn;
+    }
+});
+
+test('a performance survives a Standard MIDI File round trip', () => {
+    const events = [
+        { type: 'noteon', note: 'C4', velocity: 1, hand: 'right', time: 0 },
+        { type: 'noteon', note: 'E4', velocity: 0.5, hand: 'left', time: 0.5 },
+        { type: 'noteoff', note: 'C4', hand: 'right', time: 1 },
+        { type: 'noteoff', note: 'E4', hand: 'left', time: 1.5 },
+    ];
+    const midiFile = parseMidiFile(encodeMidiFile(events, { bpm: 120, beatsPerBar: 3 }));
+    assert.equal(midiFile.format, 1);
+    assert.equal(midiFile.tracks.length, 3);
+    assert.deepEqual(midiFile.tracks.slice(1).map(track => track.name), ['right', 'left']);
+
+    const notes = midiFileToNotes(midiFile).map(({ time, duration, note, track }) => ({ time, duration, note, track }));
+    assert.deepEqual(notes, [
+        { time: 0, duration: 1, note: 'C4', track: 'right' },
+        { time: 0.5, duration: 1, note: 'E4', track: 'left' },
+    ]);
+});
+
+test('notes still held at the end of the log are closed', () => {
+    const events = [{ type: 'noteon', note: 'G4', velocity: 1, hand: 'right', time: 0 }];
+    const notes = midiFileToNotes(parseMidiFile(encodeMidiFile(events)));
+    assert.equal(notes.length, 1);
+    assert.equal(notes[0].note, 'G4');
+});
+
+// One-track format 0 file at 96 PPQ around the given track bytes
+function smf(trackBytes) {
+    const header = [0x4d, 0x54, 0x68, 0x64, 0, 0, 0, 6, 0, 0, 0, 1, 0, 96];
+    const length = trackBytes.length;
+    const track = [0x4d, 0x54, 0x72, 0x6b, length >>> 24, (length >> 16) & 0xff, (length >> 8) & 0xff, length & 0xff];
+    return new Uint8Array([...header, ...track, ...trackBytes]);
+}
+
+test('running status carries between channel messages but not across meta or sysex events', () => {
+    const running = parseMidiFile(smf([0x00, 0x90, 60, 100, 0x60, 60, 0, 0x00, 0xff, 0x2f, 0x00]));
+    assert.deepEqual(running.tracks[0].events.map(e => `${e.type} ${e.midi}`), ['noteon 60', 'noteoff 60']);
+
+    const afterMeta = smf([0x00, 0x90, 60, 100, 0x00, 0xff, 0x01, 0x01, 0x41, 0x60, 60, 0, 0x00, 0xff, 0x2f, 0x00]);
+    assert.throws(() => parseMidiFile(afterMeta), /without a status byte/);
+    const afterSysex = smf([0x00, 0x90, 60, 100, 0x00, 0xf0, 0x01, 0xf7, 0x60, 60, 0, 0x00, 0xff, 0x2f, 0x00]);
+    assert.throws(() => parseMidiFile(afterSysex), /without a status byte/);
+});
+
+test('files that are not SMFs are rejected', () => {
+    assert.throws(() => parseMidiFile(new Uint8Array([0x52, 0x49, 0x46, 0x46, 0, 0, 0, 0])), /Not a Standard MIDI File/);
+});
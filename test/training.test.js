@@ -0,0 +1,43 @@
+// Run with: node --test
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { summarizeTraining, formatTrainingResults } = require('../training.js');
+
+const NAMES = { peace: '✌️ Peace', palm: '✋ Open Palm' };
+const gestureName = gesture => NAMES[gesture] || `🖐️ ${gesture}`;
+
+function target(gesture, result, extra = {}) {
+    return { gesture, hand: 'any', result, offset: null, playedBy: null, seen: {}, ...extra };
+}
+
+test('results list hits, timing and the pose a miss was mistaken for', () => {
+    const summary = summarizeTraining({
+        song: { name: 'Test' },
+        score: 300,
+        targets: [
+            target('peace', 'Perfect', { offset: 0.05, playedBy: 'right' }),
+            target('palm', 'Miss', { seen: { peace: 4, point: 1 } }),
+            target('palm', null),
+        ],
+    });
+    assert.equal(summary.targets, 2);
+    assert.equal(summary.hits, 1);
+    assert.deepEqual(formatTrainingResults(summary, gestureName), [
+        '✋ Open Palm: 0/1 hit · seen as ✌️ Peace instead',
+        '✌️ Peace: 1/1 hit · avg +50 ms (late)',
+        'right hand: 1/1 hit · avg +50 ms',
+        'any hand: 0/1 hit',
+    ]);
+});
+
+test('a miss mistaken for a custom trained gesture still renders', () => {
+    const summary = summarizeTraining({
+        song: { name: 'Test' },
+        score: 0,
+        targets: [target('peace', 'Miss', { seen: { custom_wave: 6 } })],
+    });
+    const lines = formatTrainingResults(summary, gesture => gesture === 'custom_wave' ? '🖐️ Wave' : gestureName(gesture));
+    assert.equal(lines[0], '✌️ Peace: 0/1 hit · seen as 🖐️ Wave instead');
+});
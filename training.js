@@ -0,0 +1,76 @@
+// ============================================
+// Training Mode: results
+// ============================================
+// Scoring summaries for the rhythm game, with no DOM and no Tone.js. The page loads this before
+// app.js (everything below becomes a global, like app.js itself) and Node can require() it for
+// tests. The game itself (chart, clock, judging) stays in app.js.
+
+function formatTrainingOffset(offset) {
+    const ms = Math.round(offset * 1000);
+    return `${ms >= 0 ? '+' : ''}${ms} ms`;
+}
+
+function averageOffset(offsets) {
+    return offsets.length ? offsets.reduce((a, b) => a + b, 0) / offsets.length : 0;
+}
+
+function summarizeTraining(game) {
+    const judged = game.targets.filter(t => t.result !== null);
+    const summary = { song: game.song.name, score: game.score, targets: judged.length, hits: 0, hands: {}, gestures: {} };
+    for (const target of judged) {
+        const hit = target.result !== 'Miss';
+        const hand = target.playedBy || target.hand;
+        const handStats = summary.hands[hand] || (summary.hands[hand] = { targets: 0, hits: 0, offsets: [] });
+        const gestureStats = summary.gestures[target.gesture]
+            || (summary.gestures[target.gesture] = { targets: 0, hits: 0, offsets: [], confusions: {} });
+        handStats.targets++;
+        gestureStats.targets++;
+        if (hit) {
+            summary.hits++;
+            handStats.hits++;
+            gestureStats.hits++;
+            handStats.offsets.push(target.offset);
+            gestureStats.offsets.push(target.offset);
+        } else {
+            for (const [gesture, frames] of Object.entries(target.seen)) {
+                gestureStats.confusions[gesture] = (gestureStats.confusions[gesture] || 0) + frames;
+            }
+        }
+    }
+    return summary;
+}
+
+// One line per gesture (hardest first), then one per hand. The recognizer can report custom
+// trained gestures too, so labels come from gestureName(id) rather than a fixed table.
+function formatTrainingResults(summary, gestureName) {
+    const lines = [];
+    const rows = Object.entries(summary.gestures)
+        // hardest poses first
+        .sort(([, a], [, b]) => a.hits / a.targets - b.hits / b.targets);
+    for (const [gesture, stats] of rows) {
+        const parts = [`${gestureName(gesture)}: ${stats.hits}/${stats.targets} hit`];
+        if (stats.offsets.length) {
+            const offset = averageOffset(stats.offsets);
+            parts.push(`avg ${formatTrainingOffset(offset)} (${offset >= 0 ? 'late' : 'early'})`);
+        }
+        const confusions = Object.entries(stats.confusions).sort(([, a], [, b]) => b - a);
+        if (confusions.length) {
+            parts.push(`seen as ${gestureName(confusions[0][0])} instead`);
+        }
+        lines.push(parts.join(' · '));
+    }
+    for (const [hand, stats] of Object.entries(summary.hands)) {
+        const timing = stats.offsets.length ? ` · avg ${formatTrainingOffset(averageOffset(stats.offsets))}` : '';
+        lines.push(`${hand} hand: ${stats.hits}/${stats.targets} hit${timing}`);
+    }
+    return lines;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        formatTrainingOffset,
+        averageOffset,
+        summarizeTraining,
+        formatTrainingResults,
+    };
+}